@@ -0,0 +1,28 @@
+// Abort helpers shared by the conversion helpers
+function createConversionTimeoutError(timeout) {
+  const err = new Error(`Conversion timed out after ${timeout}ms`);
+  err.code = 'CONVERSION_TIMEOUT';
+  err.status = 504;
+  return err;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+}
+
+// Reject as soon as the signal fires, for in-process work that cannot be killed
+function raceAbort(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+module.exports = { createConversionTimeoutError, throwIfAborted, raceAbort };
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const MINUTE = 60 * 1000;
+
+function createAccessError(message, status, code, retryAfter) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  if (retryAfter !== undefined) {
+    err.retryAfter = retryAfter;
+  }
+  return err;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function optionalLimit(entry, field) {
+  const value = entry[field];
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`API key "${entry.name}": "${field}" must be a non-negative number.`);
+  }
+  return value;
+}
+
+// API keys come from the JSON file named by API_KEYS_FILE, or inline JSON in API_KEYS: either an array or
+// { "keys": [...] } of { name, key, requestsPerMinute?, dailyBytes?, dailyMinutes?, admin? }. A missing quota is unlimited.
+function loadApiKeys({ file = process.env.API_KEYS_FILE, inline = process.env.API_KEYS } = {}) {
+  if (!file && !inline) {
+    return [];
+  }
+  const parsed = JSON.parse(file ? fs.readFileSync(file, 'utf8') : inline);
+  const entries = Array.isArray(parsed) ? parsed : parsed.keys;
+  if (!Array.isArray(entries)) {
+    throw new Error('API key config must be an array or an object with a "keys" array.');
+  }
+  const names = new Set();
+  return entries.map((entry) => {
+    if (typeof entry?.name !== 'string' || !/^[\w.-]{1,64}$/.test(entry.name)) {
+      throw new Error('Every API key needs a "name" of letters, digits, ".", "_" or "-".');
+    }
+    if (typeof entry.key !== 'string' || entry.key.length < 16) {
+      throw new Error(`API key "${entry.name}" must be at least 16 characters.`);
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`API key name "${entry.name}" is used twice.`);
+    }
+    names.add(entry.name);
+    return {
+      name: entry.name,
+      hash: hashKey(entry.key),
+      requestsPerMinute: optionalLimit(entry, 'requestsPerMinute'),
+      dailyBytes: optionalLimit(entry, 'dailyBytes'),
+      dailyMinutes: optionalLimit(entry, 'dailyMinutes'),
+      admin: entry.admin === true,
+    };
+  });
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilNextUtcDay(now) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((next.getTime() - now) / 1000);
+}
+
+// Identifies callers by API key, or by IP when they send none, and enforces per-minute request limits and
+// daily quotas on uploaded bytes and conversion minutes. Counters are kept in memory and reset at UTC midnight.
+// Bytes a request brought in: multipart files and assets, or the raw body of an upload chunk
+function requestBytes(req) {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  const uploaded = [...files, ...(req.assets || [])].reduce((total, file) => total + file.size, 0);
+  return uploaded + (Buffer.isBuffer(req.body) ? req.body.length : 0);
+}
+
+function createAccessControl({ keys = [], requireKey = false, anonymous, keyRequestsPerMinute }) {
+  const keysByHash = new Map(keys.map(entry => [entry.hash, entry]));
+  const windows = new Map();
+  const usage = new Map();
+
+  // The caller's identity and limits. Throws 401 for an unknown key, or for no key when keys are required.
+  function identify(req) {
+    const header = req.get('X-API-Key') || (/^Bearer (.+)$/i.exec(req.get('Authorization') || '') || [])[1];
+    if (header) {
+      const entry = keysByHash.get(hashKey(header.trim()));
+      if (!entry) {
+        throw createAccessError('Invalid API key.', 401, 'INVALID_API_KEY');
+      }
+      return {
+        id: `key:${entry.name}`,
+        name: entry.name,
+        type: 'key',
+        admin: entry.admin,
+        requestsPerMinute: entry.requestsPerMinute ?? keyRequestsPerMinute,
+        dailyBytes: entry.dailyBytes,
+        dailyMinutes: entry.dailyMinutes,
+      };
+    }
+    if (requireKey) {
+      throw createAccessError('An API key is required; send it in the X-API-Key header.', 401, 'API_KEY_REQUIRED');
+    }
+    return {
+      id: `ip:${req.ip}`,
+      name: req.ip,
+      type: 'ip',
+      admin: false,
+      requestsPerMinute: anonymous.requestsPerMinute,
+      dailyBytes: anonymous.dailyBytes,
+      dailyMinutes: anonymous.dailyMinutes,
+    };
+  }
+
+  function usageFor(client, now = Date.now()) {
+    let entry = usage.get(client.id);
+    if (!entry || entry.day !== utcDay(now)) {
+      entry = { day: utcDay(now), requests: 0, rejected: 0, bytes: 0, conversionMs: 0, jobs: 0 };
+      usage.set(client.id, entry);
+    }
+    entry.name = client.name;
+    entry.type = client.type;
+    return entry;
+  }
+
+  // Fixed one-minute window per caller. Returns the values for the X-RateLimit-* headers.
+  function takeRequest(client, now = Date.now()) {
+    const limit = client.requestsPerMinute;
+    if (!limit) {
+      return null;
+    }
+    let window = windows.get(client.id);
+    if (!window || now - window.start >= MINUTE) {
+      window = { start: now, count: 0 };
+      windows.set(client.id, window);
+    }
+    const reset = Math.ceil((window.start + MINUTE - now) / 1000);
+    if (window.count >= limit) {
+      throw createAccessError(`Rate limit of ${limit} requests per minute exceeded.`, 429, 'RATE_LIMITED', reset);
+    }
+    window.count++;
+    return { limit, remaining: limit - window.count, reset };
+  }
+
+  // Reject new work once a daily quota is used up, or when the incoming bytes of a request would go past it
+  function checkQuota(client, now = Date.now(), { incoming = 0 } = {}) {
+    const used = usageFor(client, now);
+    if (client.dailyBytes !== null && used.bytes >= client.dailyBytes) {
+      throw createAccessError(`Daily quota of ${client.dailyBytes} bytes processed is used up.`, 429, 'QUOTA_EXCEEDED', secondsUntilNextUtcDay(now));
+    }
+    if (client.dailyBytes !== null && used.bytes + incoming > client.dailyBytes) {
+      throw createAccessError(
+        `This upload of ${incoming} bytes would go past the daily quota of ${client.dailyBytes} bytes; ${client.dailyBytes - used.bytes} bytes are left today.`,
+        429,
+        'QUOTA_EXCEEDED',
+        secondsUntilNextUtcDay(now)
+      );
+    }
+    if (client.dailyMinutes !== null && used.conversionMs >= client.dailyMinutes * MINUTE) {
+      throw createAccessError(`Daily quota of ${client.dailyMinutes} conversion minutes is used up.`, 429, 'QUOTA_EXCEEDED', secondsUntilNextUtcDay(now));
+    }
+  }
+
+  function recordBytes(client, bytes) {
+    usageFor(client).bytes += bytes;
+  }
+
+  function recordConversion(client, durationMs) {
+    const used = usageFor(client);
+    used.jobs++;
+    used.conversionMs += durationMs;
+  }
+
+  function recordRejection(client) {
+    usageFor(client).rejected++;
+  }
+
+  // Today's counters and limits for one caller
+  function report(client, now = Date.now()) {
+    const used = usageFor(client, now);
+    return {
+      client: { name: client.name, type: client.type },
+      day: used.day,
+      resetsIn: secondsUntilNextUtcDay(now),
+      requests: used.requests,
+      rejected: used.rejected,
+      jobs: used.jobs,
+      bytes: { used: used.bytes, limit: client.dailyBytes },
+      conversionMinutes: { used: Math.round(used.conversionMs / 600) / 100, limit: client.dailyMinutes },
+      requestsPerMinute: client.requestsPerMinute || null,
+    };
+  }
+
+  // Today's counters for every caller seen, for admin keys
+  function reportAll(now = Date.now()) {
+    const day = utcDay(now);
+    return [...usage.entries()]
+      .filter(([, used]) => used.day === day)
+      .map(([, used]) => ({
+        name: used.name,
+        type: used.type,
+        requests: used.requests,
+        rejected: used.rejected,
+        jobs: used.jobs,
+        bytes: used.bytes,
+        conversionMinutes: Math.round(used.conversionMs / 600) / 100,
+      }));
+  }
+
+  // Drop rate windows and counters from earlier days
+  function prune(now = Date.now()) {
+    for (const [id, window] of windows) {
+      if (now - window.start >= MINUTE) {
+        windows.delete(id);
+      }
+    }
+    for (const [id, used] of usage) {
+      if (used.day !== utcDay(now)) {
+        usage.delete(id);
+      }
+    }
+  }
+
+  // Express middleware: identifies the caller as req.apiClient (req.client is Node's socket alias) and counts
+  // the request. With rateLimited it applies the per-minute limit; with metered it checks the daily quotas and
+  // counts the request's uploaded bytes. The quota check runs before the body is read; uploadQuota repeats it
+  // with the body's size once it has been.
+  function middleware({ rateLimited = false, metered = false } = {}) {
+    return (req, res, next) => {
+      if (!req.apiClient) {
+        try {
+          req.apiClient = identify(req);
+        } catch (err) {
+          return next(err);
+        }
+        usageFor(req.apiClient).requests++;
+      }
+      const client = req.apiClient;
+      try {
+        const window = rateLimited ? takeRequest(client) : null;
+        if (window) {
+          res.setHeader('X-RateLimit-Limit', window.limit);
+          res.setHeader('X-RateLimit-Remaining', window.remaining);
+          res.setHeader('X-RateLimit-Reset', window.reset);
+        }
+        if (metered) {
+          checkQuota(client);
+        }
+      } catch (err) {
+        recordRejection(client);
+        logger.warn(`Refused ${req.method} ${req.path} from ${client.id}: ${err.message}`);
+        return next(err);
+      }
+      if (metered) {
+        // Multipart files, or the raw body of an upload chunk
+        res.on('finish', () => {
+          recordBytes(client, requestBytes(req));
+        });
+      }
+      next();
+    };
+  }
+
+  // Express middleware for after a metered route's body parser: refuses the request when what it uploaded
+  // would take the caller past the daily byte quota, before any work is queued
+  function uploadQuota() {
+    return (req, res, next) => {
+      if (!req.apiClient) {
+        return next();
+      }
+      try {
+        checkQuota(req.apiClient, Date.now(), { incoming: requestBytes(req) });
+      } catch (err) {
+        recordRejection(req.apiClient);
+        logger.warn(`Refused ${req.method} ${req.path} from ${req.apiClient.id}: ${err.message}`);
+        return next(err);
+      }
+      next();
+    };
+  }
+
+  return {
+    identify,
+    middleware,
+    uploadQuota,
+    checkQuota,
+    recordBytes,
+    recordConversion,
+    report,
+    reportAll,
+    prune,
+    keyCount: keys.length,
+  };
+}
+
+module.exports = { createAccessControl, loadApiKeys };
@@ -0,0 +1,280 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const tmp = require('tmp');
+const { runProcess } = require('./processRunner');
+const { throwIfAborted } = require('./abort');
+
+// Archive formats 7-Zip can read
+const archiveFormats = ['zip', '7z', 'rar', 'tar', 'gz', 'tgz', 'bz2', 'xz'];
+// Formats archives can be packed into, with the 7-Zip type switch for each
+const packFormats = { zip: 'zip', '7z': '7z', tar: 'tar', 'tar.gz': 'tar' };
+const passwordFormats = ['zip', '7z'];
+const passwordOption = {
+  type: 'string',
+  pattern: /^[^\u0000-\u001f]{1,128}$/,
+  description: `Encrypts ${passwordFormats.join(' and ')} output`,
+};
+// 7-Zip's type names for single-file compressors, whose content may be a tar archive, and their extensions
+const compressorTypes = { gzip: 'gz', bzip2: 'bz2', xz: 'xz' };
+
+// Extraction limits; the header sizes are checked first, then the decompressed bytes as they stream
+const archiveLimits = {
+  maxUncompressedBytes: parseInt(process.env.ARCHIVE_MAX_UNCOMPRESSED_BYTES) || 1024 * 1024 * 1024,
+  maxEntries: parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 10000,
+  maxRatio: parseInt(process.env.ARCHIVE_MAX_RATIO) || 100,
+};
+
+function createArchiveError(message) {
+  const err = new Error(message);
+  err.code = 'ARCHIVE_REJECTED';
+  err.status = 422;
+  return err;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Parse `7z l -slt`: a block of "Key = value" lines per entry, after a "----------" separator
+function parseArchiveListing(stdout) {
+  const [header, body = ''] = stdout.split(/^-{10}$/m);
+  const typeMatch = /^Type = (.+)$/m.exec(header);
+  const entries = body.split(/\r?\n\r?\n/).map((block) => {
+    const fields = {};
+    for (const line of block.split(/\r?\n/)) {
+      const index = line.indexOf(' = ');
+      if (index !== -1) {
+        fields[line.slice(0, index)] = line.slice(index + 3);
+      }
+    }
+    return fields;
+  }).filter(fields => fields.Path !== undefined);
+  return { type: typeMatch ? typeMatch[1].trim() : null, entries };
+}
+
+// List an archive's entries. stdin is closed so an encrypted archive fails instead of waiting for a password.
+async function listArchive(archivePath, { signal, timeout = 0 } = {}) {
+  let stdout;
+  try {
+    ({ stdout } = await runProcess('7z', ['l', '-slt', '--', archivePath], { signal, timeout, input: '' }));
+  } catch (err) {
+    if (err.code === 'PROCESS_TIMEOUT') {
+      throw createArchiveError(`Archive could not be listed within ${timeout}ms.`);
+    }
+    throw err;
+  }
+  const { type, entries } = parseArchiveListing(stdout);
+  return {
+    type,
+    entries: entries.map(fields => ({
+      path: fields.Path,
+      directory: fields.Folder === '+' || (fields.Attributes || '').startsWith('D'),
+      size: toNumber(fields.Size) ?? 0,
+      packedSize: toNumber(fields['Packed Size']),
+      modified: fields.Modified || null,
+      encrypted: fields.Encrypted === '+',
+      link: Boolean(fields['Symbolic Link'] || fields['Hard Link']),
+    })),
+  };
+}
+
+// An entry path that would land outside the extraction directory ("zip-slip")
+function isUnsafeEntryPath(entryPath) {
+  const normalized = entryPath.replace(/\\/g, '/');
+  return normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || normalized.split('/').includes('..');
+}
+
+// Reject archives that exceed the limits or contain entries that could escape the extraction directory
+function checkArchiveListing({ entries }, archiveSize, limits = archiveLimits) {
+  if (entries.length > limits.maxEntries) {
+    throw createArchiveError(`Archive has ${entries.length} entries; the limit is ${limits.maxEntries}.`);
+  }
+  let total = 0;
+  for (const entry of entries) {
+    if (isUnsafeEntryPath(entry.path)) {
+      throw createArchiveError(`Archive entry "${entry.path}" points outside the extraction directory.`);
+    }
+    if (entry.link) {
+      throw createArchiveError(`Archive entry "${entry.path}" is a link; links are not extracted.`);
+    }
+    if (entry.encrypted) {
+      throw createArchiveError('Password-protected archives cannot be extracted.');
+    }
+    if (entry.packedSize > 0 && entry.size / entry.packedSize > limits.maxRatio) {
+      throw createArchiveError(`Archive entry "${entry.path}" expands more than ${limits.maxRatio} times; it looks like a zip bomb.`);
+    }
+    total += entry.size;
+  }
+  if (total > limits.maxUncompressedBytes) {
+    throw createArchiveError(`Archive expands to ${total} bytes; the limit is ${limits.maxUncompressedBytes}.`);
+  }
+  if (archiveSize > 0 && total / archiveSize > limits.maxRatio) {
+    throw createArchiveError(`Archive expands more than ${limits.maxRatio} times; it looks like a zip bomb.`);
+  }
+  return total;
+}
+
+// Walk an extracted tree and check what actually landed on disk: headers can understate sizes
+async function checkExtractedTree(rootDir, archiveSize, limits = archiveLimits) {
+  const files = [];
+  let total = 0;
+  let count = 0;
+  const walk = async (dir) => {
+    for (const dirent of await fsPromises.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, dirent.name);
+      const stats = await fsPromises.lstat(fullPath);
+      if (++count > limits.maxEntries) {
+        throw createArchiveError(`Archive has more than ${limits.maxEntries} entries.`);
+      }
+      if (stats.isSymbolicLink()) {
+        throw createArchiveError(`Archive entry "${path.relative(rootDir, fullPath)}" is a link; links are not extracted.`);
+      }
+      if (stats.isDirectory()) {
+        await walk(fullPath);
+      } else if (stats.isFile()) {
+        total += stats.size;
+        files.push({ path: path.relative(rootDir, fullPath).split(path.sep).join('/'), fullPath, size: stats.size });
+      }
+    }
+  };
+  await walk(rootDir);
+  if (total > limits.maxUncompressedBytes || (archiveSize > 0 && total / archiveSize > limits.maxRatio)) {
+    throw createArchiveError(`Archive expands to ${total} bytes, over the extraction limits.`);
+  }
+  return files;
+}
+
+// Decompress to stdout and count the bytes, killing 7-Zip once they pass the budget. Headers can
+// understate sizes, so this bounds what extraction will write before anything reaches the disk.
+async function checkExtractedBytes(archivePath, archiveSize, { signal, limits = archiveLimits } = {}) {
+  const budget = Math.min(limits.maxUncompressedBytes, archiveSize > 0 ? archiveSize * limits.maxRatio : Infinity);
+  try {
+    await runProcess('7z', ['x', '-so', '--', archivePath], { signal, input: '', maxBuffer: budget, keepStdout: false });
+  } catch (err) {
+    if (err.code === 'PROCESS_OUTPUT_LIMIT') {
+      throw createArchiveError(`Archive expands to more than ${budget} bytes, over the extraction limits.`);
+    }
+    throw err;
+  }
+}
+
+// Listing check, streamed size check, extraction and on-disk check for one archive layer
+async function extractLayer(archivePath, destDir, { signal, limits }) {
+  const { size: archiveSize } = await fsPromises.stat(archivePath);
+  const listing = await listArchive(archivePath, { signal });
+  checkArchiveListing(listing, archiveSize, limits);
+  await checkExtractedBytes(archivePath, archiveSize, { signal, limits });
+  await runProcess('7z', ['x', '-y', `-o${destDir}`, '--', archivePath], { signal, input: '' });
+  return { type: listing.type, files: await checkExtractedTree(destDir, archiveSize, limits) };
+}
+
+// Safely extract an archive into destDir, which should be empty. A compressed tar (tar.gz, tgz,
+// tar.bz2, tar.xz) is unpacked in both layers. Resolves with { type, files: [{ path, fullPath, size }] }.
+async function extractArchive(archivePath, destDir, { signal, limits = archiveLimits } = {}) {
+  const outer = await extractLayer(archivePath, destDir, { signal, limits });
+  const compressor = compressorTypes[(outer.type || '').toLowerCase()];
+  if (!compressor || outer.files.length !== 1) {
+    return outer;
+  }
+  const [inner] = outer.files;
+  const innerListing = await listArchive(inner.fullPath, { signal }).catch(() => null);
+  if (innerListing?.type?.toLowerCase() !== 'tar') {
+    return outer;
+  }
+  // Move the tar out of the way and unpack it in its place
+  const stagingDir = tmp.dirSync({ prefix: 'archive-tar-', unsafeCleanup: true });
+  try {
+    const tarPath = path.join(stagingDir.name, 'inner.tar');
+    await fsPromises.copyFile(inner.fullPath, tarPath);
+    await fsPromises.unlink(inner.fullPath);
+    const { files } = await extractLayer(tarPath, destDir, { signal, limits });
+    return { type: `tar.${compressor}`, files };
+  } finally {
+    stagingDir.removeCallback();
+  }
+}
+
+// Pack the contents of sourceDir into a new archive. The password is passed on the 7-Zip command line,
+// which is the only non-interactive way to set it.
+async function packDirectory(sourceDir, outputPath, format, { password, signal } = {}) {
+  if (!Object.hasOwn(packFormats, format)) {
+    throw new Error(`Unsupported archive format: ${format}. Supported: ${Object.keys(packFormats).join(', ')}`);
+  }
+  if (password && !passwordFormats.includes(format)) {
+    throw new Error(`Passwords are only supported for ${passwordFormats.join(', ')} archives.`);
+  }
+  const passwordArgs = !password ? [] : format === 'zip' ? [`-p${password}`, '-mem=AES256'] : [`-p${password}`, '-mhe=on'];
+  if (format !== 'tar.gz') {
+    await runProcess('7z', ['a', `-t${packFormats[format]}`, '-y', ...passwordArgs, '--', outputPath, '*'], { signal, cwd: sourceDir });
+    return;
+  }
+  // gzip records the tar's file name, so it is named after the output
+  const tarDir = tmp.dirSync({ prefix: 'archive-tar-', unsafeCleanup: true });
+  const tarPath = path.join(tarDir.name, path.basename(outputPath, '.gz'));
+  try {
+    await runProcess('7z', ['a', '-ttar', '-y', '--', tarPath, '*'], { signal, cwd: sourceDir });
+    await runProcess('7z', ['a', '-tgzip', '-y', '--', outputPath, tarPath], { signal });
+  } finally {
+    tarDir.removeCallback();
+  }
+}
+
+// A file name safe to create inside a work directory, keeping the extension
+function safeEntryName(name, fallback = 'file') {
+  const base = path.basename(String(name || '').replace(/\\/g, '/')).replace(/[\u0000-\u001f]/g, '').trim();
+  return base && base !== '.' && base !== '..' ? base : fallback;
+}
+
+// Copy loose files into one archive, renaming duplicates to "name (1).ext"
+async function bundleFiles(files, outputPath, format, { password, signal } = {}) {
+  const workDir = tmp.dirSync({ prefix: 'archive-bundle-', unsafeCleanup: true });
+  try {
+    const used = new Set();
+    for (const { filePath, name } of files) {
+      throwIfAborted(signal);
+      const safeName = safeEntryName(name);
+      const { name: stem, ext } = path.parse(safeName);
+      let candidate = safeName;
+      for (let i = 1; used.has(candidate.toLowerCase()); i++) {
+        candidate = `${stem} (${i})${ext}`;
+      }
+      used.add(candidate.toLowerCase());
+      await fsPromises.copyFile(filePath, path.join(workDir.name, candidate));
+    }
+    await packDirectory(workDir.name, outputPath, format, { password, signal });
+  } finally {
+    workDir.removeCallback();
+  }
+}
+
+// Convert an archive to another format by extracting and re-packing it
+async function repackArchive(inputPath, outputPath, format, { password, signal } = {}) {
+  const workDir = tmp.dirSync({ prefix: 'archive-repack-', unsafeCleanup: true });
+  try {
+    const { files } = await extractArchive(inputPath, workDir.name, { signal });
+    if (files.length === 0) {
+      throw createArchiveError('Archive contains no files.');
+    }
+    await packDirectory(workDir.name, outputPath, format, { password, signal });
+    return { entries: files.length, uncompressedSize: files.reduce((total, file) => total + file.size, 0) };
+  } finally {
+    workDir.removeCallback();
+  }
+}
+
+module.exports = {
+  archiveFormats,
+  packFormats,
+  passwordFormats,
+  passwordOption,
+  archiveLimits,
+  parseArchiveListing,
+  listArchive,
+  checkArchiveListing,
+  extractArchive,
+  packDirectory,
+  bundleFiles,
+  repackArchive,
+  safeEntryName,
+};
@@ -0,0 +1,36 @@
+const fsPromises = require('fs').promises;
+const { logger } = require('./logger');
+
+// Cleanup files with retry logic
+async function cleanupFiles(filePaths) {
+  const maxRetries = 3;
+  const retryDelay = 1000;
+  for (const filePath of filePaths) {
+    let attempts = 0;
+    while (attempts < maxRetries) {
+      try {
+        await fsPromises.access(filePath);
+        await fsPromises.unlink(filePath);
+        logger.info(`Deleted file: ${filePath}`);
+        break;
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          logger.info(`File already deleted or does not exist: ${filePath}`);
+          break;
+        } else if (err.code === 'EPERM') {
+          attempts++;
+          logger.warn(`EPERM error on attempt ${attempts} for ${filePath}. Retrying in ${retryDelay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, retryDelay));
+          if (attempts === maxRetries) {
+            logger.error(`Failed to delete file ${filePath} after ${maxRetries} attempts: ${err.message}`);
+          }
+        } else {
+          logger.error(`Error deleting file ${filePath}:`, err);
+          break;
+        }
+      }
+    }
+  }
+}
+
+module.exports = { cleanupFiles };
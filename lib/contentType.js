@@ -0,0 +1,113 @@
+const fsPromises = require('fs').promises;
+const { fileTypeFromFile } = require('file-type');
+const { logger } = require('./logger');
+
+const SNIFF_BYTES = 4096;
+
+// Detected extensions that are acceptable for a declared one; anything not listed must match exactly
+const detectedAliases = {
+  jpeg: ['jpg'],
+  tiff: ['tif'],
+  ico: ['ico', 'cur'],
+  eps: ['eps', 'ps'],
+  svg: ['xml'],
+  aiff: ['aif'],
+  aac: ['aac', 'm4a'],
+  ogg: ['ogg', 'oga', 'ogv', 'opus', 'spx'],
+  opus: ['opus', 'ogg', 'oga'],
+  wma: ['asf'],
+  wmv: ['asf'],
+  mp4: ['mp4', 'm4v', 'm4a', 'mov', '3gp', '3g2', 'f4v'],
+  m4v: ['m4v', 'mp4'],
+  mov: ['mov', 'qt', 'mp4'],
+  '3g2': ['3g2', '3gp', 'mp4'],
+  mkv: ['mkv', 'webm'],
+  webm: ['webm', 'mkv'],
+  azw3: ['mobi'],
+  tgz: ['gz'],
+};
+
+// Formats without a usable signature. Text formats are still checked for binary content.
+const textFormats = {
+  txt: 'text/plain',
+  svg: 'image/svg+xml',
+};
+const unsignedBinaryFormats = {
+  tga: 'image/x-tga',
+  wbmp: 'image/vnd.wap.wbmp',
+  mmf: 'application/vnd.smaf',
+};
+
+// Map a detected extension to the name the converters use when auto-correcting
+const canonicalExtensions = {
+  tif: 'tiff',
+  aif: 'aiff',
+  asf: 'wmv',
+  qt: 'mov',
+  oga: 'ogg',
+  ogv: 'ogg',
+  m4a: 'aac',
+};
+
+function createContentTypeError(message, details = {}) {
+  const err = new Error(message);
+  err.code = 'CONTENT_TYPE_MISMATCH';
+  err.status = 415;
+  Object.assign(err, details);
+  return err;
+}
+
+// Read only the first bytes of a file
+async function readHead(filePath, length = SNIFF_BYTES) {
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Sniff a file by its magic bytes; file-type reads just the parts it needs rather than the whole file.
+// Resolves with { ext, mime } or null when the content has no known signature.
+async function detectFileType(filePath) {
+  const type = await fileTypeFromFile(filePath);
+  return type ? { ext: type.ext, mime: type.mime } : null;
+}
+
+// Check that an upload's content matches its extension. Resolves with
+// { ext, mime, declaredExt, detectedExt, corrected }; with autoCorrect a mismatch switches ext
+// to the detected type instead of throwing.
+async function checkContentType(filePath, declaredExt, { autoCorrect = false, name = declaredExt } = {}) {
+  const detected = await detectFileType(filePath);
+
+  if (!detected) {
+    if (textFormats[declaredExt]) {
+      if ((await readHead(filePath)).includes(0)) {
+        throw createContentTypeError(`${name} is not a ${declaredExt} file: it contains binary data.`, { declaredExt });
+      }
+      return { ext: declaredExt, mime: textFormats[declaredExt], declaredExt, detectedExt: null, corrected: false };
+    }
+    if (unsignedBinaryFormats[declaredExt]) {
+      return { ext: declaredExt, mime: unsignedBinaryFormats[declaredExt], declaredExt, detectedExt: null, corrected: false };
+    }
+    throw createContentTypeError(`Could not recognise the content of ${name} as ${declaredExt}.`, { declaredExt });
+  }
+
+  const accepted = detectedAliases[declaredExt] || [declaredExt];
+  if (accepted.includes(detected.ext)) {
+    return { ext: declaredExt, mime: detected.mime, declaredExt, detectedExt: detected.ext, corrected: false };
+  }
+  if (autoCorrect) {
+    const ext = canonicalExtensions[detected.ext] || detected.ext;
+    logger.info(`Content of ${name} is ${detected.ext} (${detected.mime}), not ${declaredExt}; treating it as ${ext}`);
+    return { ext, mime: detected.mime, declaredExt, detectedExt: detected.ext, corrected: true };
+  }
+  throw createContentTypeError(
+    `${name} has a .${declaredExt} extension but its content is ${detected.ext} (${detected.mime}).`,
+    { declaredExt, detectedExt: detected.ext, detectedMime: detected.mime }
+  );
+}
+
+module.exports = { detectFileType, checkContentType };
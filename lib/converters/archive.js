@@ -0,0 +1,76 @@
+const fsPromises = require('fs').promises;
+const { throwIfAborted } = require('../abort');
+const { binaries } = require('../dependencies');
+const { validateOptions } = require('../optionSchema');
+const {
+  archiveFormats,
+  packFormats,
+  passwordFormats,
+  passwordOption,
+  listArchive,
+  checkArchiveListing,
+  bundleFiles,
+  repackArchive,
+} = require('../archive');
+const { logger } = require('../logger');
+
+const archiveOptions = {
+  password: passwordOption,
+  wrap: {
+    type: 'boolean',
+    default: false,
+    description: 'Store an uploaded archive as a single file instead of converting its contents',
+  },
+};
+
+// Archive inputs are re-packed into the target format; any other file is wrapped in a new archive
+async function convertArchive(inputPath, outputPath, format, { inputExt, originalName, options = {}, signal } = {}) {
+  const { password, wrap } = options;
+  try {
+    if (archiveFormats.includes(inputExt) && !wrap) {
+      const details = await repackArchive(inputPath, outputPath, format, { password, signal });
+      logger.info(`Archive re-packed as ${format}: ${outputPath} (${details.entries} file(s))`);
+      return { details: { format, ...details } };
+    }
+    await bundleFiles([{ filePath: inputPath, name: originalName }], outputPath, format, { password, signal });
+    logger.info(`Archive conversion completed: ${outputPath}`);
+    return { details: { format, entries: 1 } };
+  } catch (err) {
+    throwIfAborted(signal);
+    logger.error(`Archive conversion error: ${err.message}`);
+    if (err.status) {
+      throw err;
+    }
+    throw new Error(`Archive conversion failed: ${err.message}`, { cause: err });
+  }
+}
+
+// Archives wrap any uploaded file, and also accept archives of their own to re-pack
+module.exports = {
+  type: 'archive',
+  inputs: ['*', ...archiveFormats],
+  outputs: Object.keys(packFormats),
+  binaries: [binaries.sevenZip],
+  modules: [],
+  options: archiveOptions,
+  normalizeOptions(options, { target }) {
+    const normalized = validateOptions(archiveOptions, options, 'Archive option');
+    if (normalized.password !== undefined && !passwordFormats.includes(target)) {
+      throw new Error(`Archive option "password" only applies to ${passwordFormats.join(', ')} targets.`);
+    }
+    return normalized;
+  },
+  // Reject zip bombs and path traversal before the job is queued
+  async validateInput({ inputPath, inputExt, options, timeout }) {
+    if (archiveFormats.includes(inputExt) && !options.wrap) {
+      const { size } = await fsPromises.stat(inputPath);
+      checkArchiveListing(await listArchive(inputPath, { timeout }), size);
+    }
+  },
+  convert: ({ inputPath, outputPath, inputExt, target, originalName, options, signal }) => convertArchive(
+    inputPath,
+    outputPath,
+    target,
+    { inputExt, originalName, options, signal }
+  ),
+};
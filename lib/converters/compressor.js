@@ -0,0 +1,44 @@
+const { raceAbort } = require('../abort');
+const { modules } = require('../dependencies');
+const { getFileConverter } = require('../fileConverter');
+const { imageEditOptions, normalizeImageEditOptions, renderImage } = require('../imageOperations');
+const { logger } = require('../logger');
+
+const DEFAULT_QUALITY = 80;
+
+async function convertCompressor(inputPath, outputPath, format, { signal, options } = {}) {
+  if (format === 'svg') {
+    await raceAbort(getFileConverter().compressSvg({ input: inputPath, output: outputPath }), signal);
+  } else if (['jpg', 'png'].includes(format)) {
+    const details = await renderImage(inputPath, outputPath, format, options, { signal });
+    logger.info(`Image compression completed: ${outputPath} (${details.size} bytes at quality ${details.quality})`);
+    return { details };
+  } else {
+    throw new Error(`Unsupported compressor output format: ${format}`);
+  }
+}
+
+module.exports = {
+  type: 'compressor',
+  inputs: ['jpg', 'jpeg', 'png', 'svg'],
+  outputs: ['jpg', 'png', 'svg'],
+  // compressSvg only minifies SVG, so raster inputs cannot target svg
+  targetsFor: (inputExt) => (inputExt === 'svg' ? ['svg', 'jpg', 'png'] : ['jpg', 'png']),
+  binaries: [],
+  modules: [modules.sharp, modules.multiFormatConverter],
+  options: imageEditOptions,
+  // Raster output defaults to quality 80 unless a quality or target size is given
+  normalizeOptions(options, { target }) {
+    if (target === 'svg') {
+      if (options && Object.keys(options).length > 0) {
+        throw new Error('Compressor options do not apply to the svg target.');
+      }
+      return {};
+    }
+    return normalizeImageEditOptions(options, { target, defaultQuality: DEFAULT_QUALITY });
+  },
+  convert: ({ inputPath, outputPath, target, options, signal }) => convertCompressor(inputPath, outputPath, target, {
+    signal,
+    options,
+  }),
+};
@@ -0,0 +1,86 @@
+const fsPromises = require('fs').promises;
+const { throwIfAborted, raceAbort } = require('../abort');
+const { binaries, modules } = require('../dependencies');
+const { getFileConverter } = require('../fileConverter');
+const { convertWithLibreOffice, libreOfficeInputFormats, libreOfficeOutputFormats } = require('../libreOffice');
+const { convertImageToPDF } = require('./image');
+const { convertPdfToText, pdfTextFormats } = require('./pdfs');
+const { logger } = require('../logger');
+
+const documentImageInputs = ['bmp', 'eps', 'gif', 'ico', 'png', 'svg', 'tga', 'tiff', 'wbmp', 'webp', 'jpg', 'jpeg'];
+const pdfDocumentOutputs = ['docx', 'pdf', ...pdfTextFormats];
+const documentOutputs = [...new Set([...pdfDocumentOutputs, ...libreOfficeOutputFormats])];
+
+// inputExt is the detected input type, which may differ from the upload's extension when it was auto-corrected
+async function convertDocument(inputPath, outputPath, format, inputExt, { signal } = {}) {
+  const supportedDocumentFormats = documentOutputs;
+  if (documentImageInputs.includes(inputExt)) {
+    if (format !== 'pdf') {
+      throw new Error(`Image to ${format} conversion is not supported in document type. Use image type for PDF output.`);
+    }
+    await convertImageToPDF(inputPath, outputPath, { signal });
+    logger.info(`Image to PDF conversion completed: ${outputPath}`);
+    return;
+  }
+  if (!supportedDocumentFormats.includes(format)) {
+    throw new Error(`Unsupported output document format: ${format}. Supported formats: ${supportedDocumentFormats.join(', ')}`);
+  }
+  if (libreOfficeInputFormats.includes(inputExt)) {
+    if (!libreOfficeOutputFormats.includes(format)) {
+      throw new Error(`Document conversion from ${inputExt} to ${format} is not supported. Supported formats: ${libreOfficeOutputFormats.join(', ')}`);
+    }
+    try {
+      await convertWithLibreOffice(inputPath, outputPath, { inputExt, format, signal });
+      logger.info(`Document conversion from ${inputExt} to ${format} completed with LibreOffice: ${outputPath}`);
+    } catch (err) {
+      throwIfAborted(signal);
+      logger.error(`LibreOffice conversion error: ${err.message}`);
+      throw new Error(`Document conversion failed: ${err.message}`, { cause: err });
+    }
+    return;
+  }
+  if (inputExt !== 'pdf') {
+    throw new Error(`Document conversion does not support ${inputExt} input files. Supported inputs: pdf, ${libreOfficeInputFormats.join(', ')}.`);
+  }
+  if (pdfTextFormats.includes(format)) {
+    await convertPdfToText(inputPath, outputPath, format, { signal });
+  } else if (format === 'docx') {
+    try {
+      await raceAbort(getFileConverter().pdfToWord({ input: inputPath, output: outputPath }), signal);
+      logger.info(`Document conversion to DOCX completed: ${outputPath}`);
+    } catch (err) {
+      throwIfAborted(signal);
+      throw new Error(`Document conversion failed: ${err.message}`, { cause: err });
+    }
+  } else if (format === 'pdf') {
+    // If format is PDF and input is PDF, no conversion needed
+    await fsPromises.copyFile(inputPath, outputPath);
+    logger.info(`Document copied (no conversion needed): ${outputPath}`);
+  } else {
+    throw new Error(`PDF to ${format} conversion is not supported. Convert to docx first.`);
+  }
+}
+
+function documentTargetsFor(inputExt) {
+  if (documentImageInputs.includes(inputExt)) {
+    return ['pdf'];
+  }
+  if (libreOfficeInputFormats.includes(inputExt)) {
+    return libreOfficeOutputFormats;
+  }
+  return inputExt === 'pdf' ? pdfDocumentOutputs : [];
+}
+
+module.exports = {
+  type: 'document',
+  inputs: ['pdf', ...libreOfficeInputFormats, ...documentImageInputs],
+  outputs: documentOutputs,
+  targetsFor: documentTargetsFor,
+  binaries: [binaries.libreOffice],
+  binariesFor: ({ inputExt }) => (libreOfficeInputFormats.includes(inputExt) ? [binaries.libreOffice] : []),
+  modules: [modules.multiFormatConverter, modules.imageToPdf],
+  options: {},
+  convert: ({ inputPath, outputPath, inputExt, target, signal }) => convertDocument(inputPath, outputPath, target, inputExt, {
+    signal,
+  }),
+};
@@ -0,0 +1,115 @@
+const tmp = require('tmp');
+const { runProcess } = require('../processRunner');
+const { throwIfAborted } = require('../abort');
+const { binaries } = require('../dependencies');
+const { validateOptions } = require('../optionSchema');
+const { metadataOptions, checkCoverSize, writeCover, withExtension } = require('../ebookMetadata');
+const { logger } = require('../logger');
+
+const ebookFormats = ['epub', 'mobi', 'azw3'];
+const ebookOutputs = [...ebookFormats, 'pdf', 'txt', 'docx'];
+
+// Values calibre accepts for --output-profile
+const outputProfiles = [
+  'default', 'cybookg3', 'cybook_opus', 'generic_eink', 'generic_eink_hd', 'generic_eink_large', 'hanlinv3',
+  'hanlinv5', 'illiad', 'ipad', 'ipad3', 'irexdr1000', 'irexdr800', 'jetbook5', 'kindle', 'kindle_dx',
+  'kindle_fire', 'kindle_oasis', 'kindle_pw', 'kindle_pw3', 'kindle_scribe', 'kindle_voyage', 'kobo',
+  'msreader', 'mobipocket', 'nook', 'nook_color', 'nook_hd_plus', 'pocketbook_900', 'pocketbook_pro_912',
+  'pocketbook_inkpad3', 'sony', 'sony300', 'sony900', 'sony-landscape', 'sonyt3', 'tablet',
+];
+
+const margin = side => ({ type: 'number', min: 0, max: 200, description: `${side} page margin in points` });
+
+const ebookOptions = {
+  title: metadataOptions.title,
+  authors: metadataOptions.authors,
+  cover: metadataOptions.cover,
+  marginTop: margin('Top'),
+  marginBottom: margin('Bottom'),
+  marginLeft: margin('Left'),
+  marginRight: margin('Right'),
+  baseFontSize: { type: 'number', min: 4, max: 50, description: 'Base font size in points' },
+  outputProfile: { type: 'string', enum: outputProfiles, description: 'Device the output is tuned for' },
+};
+
+const marginSides = { marginTop: 'top', marginBottom: 'bottom', marginLeft: 'left', marginRight: 'right' };
+
+// ebook-convert switches for the normalized options. PDF output takes its page margins from the --pdf-page-* switches.
+function ebookConvertArgs(options, format, coverPath) {
+  const args = [];
+  if (options.title !== undefined) {
+    args.push('--title', options.title);
+  }
+  if (options.authors !== undefined) {
+    args.push('--authors', options.authors);
+  }
+  if (coverPath) {
+    args.push('--cover', coverPath);
+  }
+  for (const [key, side] of Object.entries(marginSides)) {
+    if (options[key] !== undefined) {
+      args.push(`--${format === 'pdf' ? 'pdf-page-' : ''}margin-${side}`, String(options[key]));
+    }
+  }
+  if (options.baseFontSize !== undefined) {
+    args.push('--base-font-size', String(options.baseFontSize));
+  }
+  if (options.outputProfile !== undefined) {
+    args.push('--output-profile', options.outputProfile);
+  }
+  return args;
+}
+
+// ebook-convert prints progress lines such as "34% Running transforms on e-book..."
+function createProgressParser(onProgress) {
+  let partial = '';
+  return (text) => {
+    const lines = (partial + text).split(/\r?\n/);
+    partial = lines.pop();
+    for (const line of lines) {
+      const match = /^\s*(\d{1,3})% (.+)$/.exec(line);
+      if (match) {
+        onProgress(Number(match[1]) / 100, match[2].trim());
+      }
+    }
+  };
+}
+
+async function convertEbook(inputPath, outputPath, format, { inputExt, options = {}, signal, onProgress = () => {} } = {}) {
+  const workDir = tmp.dirSync({ prefix: 'ebook-', unsafeCleanup: true });
+  try {
+    const source = await withExtension(inputPath, inputExt, workDir.name);
+    const coverPath = options.cover ? await writeCover(options.cover, workDir.name) : null;
+    await runProcess('ebook-convert', [source, outputPath, ...ebookConvertArgs(options, format, coverPath)], {
+      signal,
+      onStdout: createProgressParser(onProgress),
+    });
+    logger.info(`Ebook conversion completed: ${outputPath}`);
+  } catch (err) {
+    throwIfAborted(signal);
+    logger.error(`Ebook conversion error: ${err.message}`);
+    throw new Error(`Ebook conversion failed: ${err.message}`, { cause: err });
+  } finally {
+    workDir.removeCallback();
+  }
+}
+
+module.exports = {
+  type: 'ebook',
+  inputs: ebookFormats,
+  outputs: ebookOutputs,
+  binaries: [binaries.calibre],
+  modules: [],
+  options: ebookOptions,
+  normalizeOptions(options) {
+    const normalized = validateOptions(ebookOptions, options, 'Ebook option');
+    checkCoverSize(normalized.cover);
+    return normalized;
+  },
+  convert: ({ inputPath, outputPath, inputExt, target, options, signal, onProgress }) => convertEbook(
+    inputPath,
+    outputPath,
+    target,
+    { inputExt, options, signal, onProgress }
+  ),
+};
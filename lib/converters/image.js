@@ -0,0 +1,431 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const tmp = require('tmp');
+const imgToPDFModule = require('image-to-pdf');
+const PDFDocument = require('pdfkit');
+const { fileTypeFromBuffer } = require('file-type');
+const sharp = require('sharp');
+const { runProcess } = require('../processRunner');
+const { throwIfAborted, raceAbort } = require('../abort');
+const { cleanupFiles } = require('../cleanup');
+const { binaries, modules, getDependencyStatus } = require('../dependencies');
+const { magickBinary, magickConvert } = require('../magick');
+const { validateOptions } = require('../optionSchema');
+const { supportedImageToPdfFormats, mergeableImageFormats, validateImage } = require('../validation');
+const { imageEditOptions, normalizeImageEditOptions, renderImage } = require('../imageOperations');
+const { logger } = require('../logger');
+
+// Determine the correct imgToPDF function
+let imgToPDF = imgToPDFModule;
+if (typeof imgToPDFModule !== 'function' && imgToPDFModule.default && typeof imgToPDFModule.default === 'function') {
+  logger.info('Using imgToPDFModule.default as imgToPDF function');
+  imgToPDF = imgToPDFModule.default;
+}
+
+const imageFormats = ['bmp', 'eps', 'gif', 'ico', 'png', 'svg', 'tga', 'tiff', 'wbmp', 'webp', 'jpg', 'jpeg'];
+// libvips reads none of these, so ImageMagick decodes them to PNG first
+const magickInputFormats = ['bmp', 'eps', 'ico', 'tga', 'wbmp'];
+// Written by ImageMagick from the PNG that sharp renders
+const magickOutputFormats = ['bmp', 'eps', 'tga', 'wbmp'];
+const sharpOutputFormats = ['jpg', 'jpeg', 'png', 'gif', 'tiff', 'webp'];
+const vectorInputFormats = ['svg', 'eps'];
+const icoSizes = [16, 24, 32, 48, 64, 128, 256];
+const defaultIcoSizes = [16, 32, 48, 64, 128, 256];
+const DEFAULT_DENSITY = 72;
+const TRACE_THRESHOLD = 128;
+
+// Options for particular input or output formats, on top of the shared edit options
+const imageFormatOptions = {
+  density: { type: 'integer', min: 36, max: 1200, description: `DPI for rasterising svg and eps inputs (default ${DEFAULT_DENSITY})` },
+  icoSizes: {
+    type: 'array',
+    maxItems: icoSizes.length,
+    description: `Square sizes embedded in ico output, from ${icoSizes.join(', ')} (default ${defaultIcoSizes.join(', ')})`,
+  },
+  svgMode: {
+    type: 'string',
+    enum: ['embed', 'trace'],
+    description: 'svg output: embed the raster image (default) or trace it into black-and-white paths with potrace',
+  },
+};
+
+async function convertImageToPDF(inputPath, outputPath, { signal } = {}) {
+  try {
+    const isValidImage = await validateImage(inputPath);
+    if (!isValidImage) {
+      throw new Error(`Invalid image file: ${inputPath}`);
+    }
+    logger.info('imgToPDF type:', typeof imgToPDF, 'isFunction:', typeof imgToPDF === 'function');
+    if (typeof imgToPDF !== 'function') {
+      throw new Error('imgToPDF is not a function. Check image-to-pdf module installation.');
+    }
+    throwIfAborted(signal);
+    const imgStream = fs.createReadStream(inputPath);
+    const pdfStream = fs.createWriteStream(outputPath);
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        imgStream.destroy();
+        pdfStream.destroy();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      imgToPDF([inputPath], 'A4').pipe(pdfStream);
+      pdfStream.on('finish', () => {
+        signal?.removeEventListener('abort', onAbort);
+        logger.info(`Converted image to PDF: ${outputPath}`);
+        resolve();
+      });
+      pdfStream.on('error', (err) => {
+        logger.error(`PDF stream error: ${err.message}`);
+        reject(new Error(`Failed to write PDF: ${err.message}`));
+      });
+      imgStream.on('error', (err) => {
+        logger.error(`Image stream error: ${err.message}`);
+        reject(new Error(`Failed to read image: ${err.message}`));
+      });
+    });
+  } catch (err) {
+    throwIfAborted(signal);
+    logger.error(`Image to PDF conversion failed: ${err.message}`);
+    throw new Error(`Failed to convert image to PDF: ${err.message}`, { cause: err });
+  }
+}
+
+// Page layout options for merging images into one PDF
+const pdfPageSizes = imgToPDFModule.sizes || { A4: [595.28, 841.89], LETTER: [612.0, 792.0] };
+const pdfFitModes = ['contain', 'cover', 'stretch'];
+const pdfOrientations = ['auto', 'portrait', 'landscape'];
+
+function normalizeImagesToPdfOptions(options = {}) {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error('Merge options must be an object.');
+  }
+  const { pageSize = 'A4', orientation = 'auto', margin = 0, fit = 'contain' } = options;
+  const sizeKey = String(pageSize).toUpperCase();
+  if (sizeKey !== 'FIT' && !pdfPageSizes[sizeKey]) {
+    throw new Error(`Unsupported page size: ${pageSize}. Use fit or one of: ${Object.keys(pdfPageSizes).join(', ')}`);
+  }
+  if (!pdfOrientations.includes(orientation)) {
+    throw new Error(`Unsupported orientation: ${orientation}. Supported: ${pdfOrientations.join(', ')}`);
+  }
+  const parsedMargin = Number(margin);
+  if (!Number.isFinite(parsedMargin) || parsedMargin < 0 || parsedMargin > 144) {
+    throw new Error('Margin must be between 0 and 144 points.');
+  }
+  if (!pdfFitModes.includes(fit)) {
+    throw new Error(`Unsupported fit mode: ${fit}. Supported: ${pdfFitModes.join(', ')}`);
+  }
+  return { pageSize: sizeKey, orientation, margin: parsedMargin, fit };
+}
+
+// pdfkit embeds JPEG and PNG only, so other formats are re-encoded as PNG
+async function loadImageForPdf(inputPath, { signal } = {}) {
+  const handle = await fsPromises.open(inputPath, 'r');
+  let type;
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4100), 0, 4100, 0);
+    type = await fileTypeFromBuffer(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+  const ext = type ? type.ext.toLowerCase() : 'unknown';
+  if (!mergeableImageFormats.includes(ext)) {
+    throw new Error(`Unsupported image format: ${ext}. Supported formats: ${mergeableImageFormats.join(', ')}`);
+  }
+  if (supportedImageToPdfFormats.includes(ext)) {
+    return fsPromises.readFile(inputPath);
+  }
+  if (ext === 'bmp') {
+    // libvips has no BMP loader, so ImageMagick re-encodes it
+    const pngFile = tmp.fileSync({ postfix: '.png' });
+    try {
+      await runProcess('convert', [inputPath, `png:${pngFile.name}`], { signal });
+      return await fsPromises.readFile(pngFile.name);
+    } finally {
+      pngFile.removeCallback();
+    }
+  }
+  // Only the first frame of animated GIFs and multi-page TIFFs is used
+  return raceAbort(sharp(inputPath).png().toBuffer(), signal);
+}
+
+async function mergeImagesToPDF(inputPaths, outputPath, options = {}, { signal, onProgress = () => {} } = {}) {
+  const { pageSize, orientation, margin, fit } = normalizeImagesToPdfOptions(options);
+  const doc = new PDFDocument({ autoFirstPage: false, margin: 0 });
+  const pdfStream = fs.createWriteStream(outputPath);
+  const written = new Promise((resolve, reject) => {
+    pdfStream.on('finish', resolve);
+    pdfStream.on('error', (err) => reject(new Error(`Failed to write PDF: ${err.message}`)));
+    doc.on('error', (err) => reject(new Error(`Failed to build PDF: ${err.message}`)));
+  });
+  doc.pipe(pdfStream);
+  try {
+    for (const [index, inputPath] of inputPaths.entries()) {
+      throwIfAborted(signal);
+      const image = doc.openImage(await loadImageForPdf(inputPath, { signal }));
+      let [pageWidth, pageHeight] = pageSize === 'FIT'
+        ? [image.width + margin * 2, image.height + margin * 2]
+        : pdfPageSizes[pageSize];
+      const landscape = orientation === 'landscape' || (orientation === 'auto' && image.width > image.height);
+      if (pageSize !== 'FIT' && landscape !== pageWidth > pageHeight) {
+        [pageWidth, pageHeight] = [pageHeight, pageWidth];
+      }
+      doc.addPage({ size: [pageWidth, pageHeight], margin: 0 });
+
+      const box = [pageWidth - margin * 2, pageHeight - margin * 2];
+      if (fit === 'stretch') {
+        doc.image(image, margin, margin, { width: box[0], height: box[1] });
+      } else if (fit === 'cover') {
+        doc.save();
+        doc.rect(margin, margin, box[0], box[1]).clip();
+        doc.image(image, margin, margin, { cover: box, align: 'center', valign: 'center' });
+        doc.restore();
+      } else {
+        doc.image(image, margin, margin, { fit: box, align: 'center', valign: 'center' });
+      }
+      onProgress((index + 1) / inputPaths.length);
+    }
+    doc.end();
+    await raceAbort(written, signal);
+    logger.info(`Merged ${inputPaths.length} image(s) into PDF: ${outputPath}`);
+  } catch (err) {
+    doc.unpipe(pdfStream);
+    pdfStream.destroy();
+    await cleanupFiles([outputPath]);
+    throwIfAborted(signal);
+    logger.error(`Image merge to PDF failed: ${err.message}`);
+    throw new Error(`Failed to merge images into PDF: ${err.message}`);
+  }
+}
+
+async function convertPngToGif(inputPath, outputPath, { signal } = {}) {
+  try {
+    await runProcess('convert', [inputPath, outputPath], { signal });
+    logger.info(`Converted PNG to GIF: ${outputPath}`);
+  } catch (err) {
+    throwIfAborted(signal);
+    logger.error(`PNG to GIF conversion failed: ${err.message}`);
+    throw new Error(`Failed to convert PNG to GIF: ${err.message}`, { cause: err });
+  }
+}
+
+// Decode a format libvips cannot read into a PNG in workDir
+async function decodeWithMagick(inputPath, inputExt, workDir, { density, signal } = {}) {
+  if (inputExt === 'ico') {
+    // Icons hold several sizes; keep the largest
+    await magickConvert(['+adjoin', `ico:${inputPath}`, `png:${path.join(workDir, 'icon-%d.png')}`], { signal });
+    let largest = null;
+    for (const name of await fsPromises.readdir(workDir)) {
+      const framePath = path.join(workDir, name);
+      const { width, height } = await sharp(framePath).metadata();
+      if (!largest || width * height > largest.area) {
+        largest = { framePath, area: width * height };
+      }
+    }
+    if (!largest) {
+      throw new Error('The icon contains no images.');
+    }
+    return largest.framePath;
+  }
+  const decodedPath = path.join(workDir, 'decoded.png');
+  const densityArgs = inputExt === 'eps' ? ['-density', String(density || DEFAULT_DENSITY)] : [];
+  // The explicit coder prefix matters: uploads are stored without an extension
+  await magickConvert([...densityArgs, `${inputExt}:${inputPath}[0]`, `png:${decodedPath}`], { signal });
+  return decodedPath;
+}
+
+// ICO with PNG-compressed entries (Windows Vista and later): a 6-byte header and a 16-byte
+// directory entry per image, followed by the images themselves
+function packIco(images) {
+  const header = Buffer.alloc(6 + images.length * 16);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(images.length, 4);
+  let offset = header.length;
+  images.forEach(({ size, data }, index) => {
+    const entry = 6 + index * 16;
+    // A width or height of 0 means 256
+    header.writeUInt8(size % 256, entry);
+    header.writeUInt8(size % 256, entry + 1);
+    header.writeUInt16LE(1, entry + 4);
+    header.writeUInt16LE(32, entry + 6);
+    header.writeUInt32LE(data.length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += data.length;
+  });
+  return Buffer.concat([header, ...images.map(({ data }) => data)]);
+}
+
+async function writeIco(pngPath, outputPath, sizes, { signal } = {}) {
+  const images = [];
+  for (const size of sizes) {
+    throwIfAborted(signal);
+    const data = await sharp(pngPath)
+      .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .ensureAlpha()
+      .png()
+      .toBuffer();
+    images.push({ size, data });
+  }
+  await fsPromises.writeFile(outputPath, packIco(images));
+}
+
+// PBM (P4) bitmap for potrace: one bit per pixel, rows padded to whole bytes, 1 is black
+async function writePbm(pngPath, pbmPath) {
+  const { data, info } = await sharp(pngPath)
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .threshold(TRACE_THRESHOLD)
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const rowBytes = Math.ceil(info.width / 8);
+  const bits = Buffer.alloc(rowBytes * info.height);
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] === 0) {
+        bits[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  await fsPromises.writeFile(pbmPath, Buffer.concat([Buffer.from(`P4\n${info.width} ${info.height}\n`), bits]));
+}
+
+async function writeSvg(pngPath, outputPath, mode, { workDir, signal } = {}) {
+  if (mode === 'trace') {
+    const pbmPath = path.join(workDir, 'trace.pbm');
+    await writePbm(pngPath, pbmPath);
+    await runProcess('potrace', ['--svg', '--output', outputPath, '--', pbmPath], { signal });
+    return;
+  }
+  const { width, height } = await sharp(pngPath).metadata();
+  const data = (await fsPromises.readFile(pngPath)).toString('base64');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" `
+    + `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `<image width="${width}" height="${height}" xlink:href="data:image/png;base64,${data}"/></svg>\n`;
+  await fsPromises.writeFile(outputPath, svg);
+}
+
+async function convertImage(inputPath, outputPath, format, { signal, options = {}, inputExt } = {}) {
+  if (!imageFormats.includes(format) && format !== 'pdf') {
+    throw new Error(`Unsupported image output format: ${format}`);
+  }
+  const { density, icoSizes: sizes = defaultIcoSizes, svgMode = 'embed', ...editOptions } = options;
+  const workDir = tmp.dirSync({ prefix: 'image-', unsafeCleanup: true });
+  try {
+    let source = inputPath;
+    if (magickInputFormats.includes(inputExt)) {
+      source = await decodeWithMagick(inputPath, inputExt, workDir.name, { density, signal });
+    }
+    const renderSettings = { signal, density: inputExt === 'svg' ? density || DEFAULT_DENSITY : undefined };
+
+    if (format === 'pdf') {
+      if (!supportedImageToPdfFormats.includes(inputExt)) {
+        const pngPath = path.join(workDir.name, 'page.png');
+        await renderImage(source, pngPath, 'png', {}, renderSettings);
+        source = pngPath;
+      }
+      await convertImageToPDF(source, outputPath, { signal });
+      logger.info(`Image conversion to ${format} completed: ${outputPath}`);
+      return undefined;
+    }
+
+    if (sharpOutputFormats.includes(format)) {
+      const details = await renderImage(source, outputPath, format, editOptions, renderSettings);
+      logger.info(`Image conversion completed: ${outputPath} (${details.width}x${details.height}, ${details.size} bytes)`);
+      return { details };
+    }
+
+    // Everything else is written from an edited PNG
+    const pngPath = path.join(workDir.name, 'rendered.png');
+    const rendered = await renderImage(source, pngPath, 'png', editOptions, renderSettings);
+    let details;
+    if (format === 'ico') {
+      await writeIco(pngPath, outputPath, sizes, { signal });
+      details = { format, width: Math.max(...sizes), height: Math.max(...sizes), sizes };
+    } else if (format === 'svg') {
+      await writeSvg(pngPath, outputPath, svgMode, { workDir: workDir.name, signal });
+      details = { format, width: rendered.width, height: rendered.height, mode: svgMode };
+    } else {
+      await magickConvert([`png:${pngPath}`, `${format}:${outputPath}`], { signal });
+      details = { format, width: rendered.width, height: rendered.height };
+    }
+    details.size = (await fsPromises.stat(outputPath)).size;
+    logger.info(`Image conversion completed: ${outputPath} (${details.width}x${details.height}, ${details.size} bytes)`);
+    return { details };
+  } catch (err) {
+    throwIfAborted(signal);
+    throw err;
+  } finally {
+    workDir.removeCallback();
+  }
+}
+
+// Check the options that only apply to particular input or output formats
+function normalizeFormatOptions({ density, icoSizes: sizes, svgMode }, { target, inputExt }) {
+  const normalized = validateOptions(imageFormatOptions, { density, icoSizes: sizes, svgMode }, 'Image option');
+  if (normalized.density !== undefined && !vectorInputFormats.includes(inputExt)) {
+    throw new Error(`Image option "density" only applies to ${vectorInputFormats.join(', ')} inputs.`);
+  }
+  if (normalized.icoSizes !== undefined) {
+    if (target !== 'ico') {
+      throw new Error('Image option "icoSizes" only applies to the ico target.');
+    }
+    const invalid = normalized.icoSizes.filter(size => !icoSizes.includes(Number(size)));
+    if (invalid.length > 0 || normalized.icoSizes.length === 0) {
+      throw new Error(`Image option "icoSizes" must list sizes from: ${icoSizes.join(', ')}`);
+    }
+    normalized.icoSizes = [...new Set(normalized.icoSizes.map(Number))].sort((a, b) => a - b);
+  }
+  if (normalized.svgMode !== undefined && target !== 'svg') {
+    throw new Error('Image option "svgMode" only applies to the svg target.');
+  }
+  if (normalized.svgMode === 'trace' && getDependencyStatus(binaries.potrace.name) === false) {
+    const err = new Error('Tracing to svg is unavailable: potrace is not installed.');
+    err.code = 'BACKEND_UNAVAILABLE';
+    err.status = 503;
+    err.missing = [binaries.potrace.name];
+    throw err;
+  }
+  return normalized;
+}
+
+module.exports = {
+  type: 'image',
+  inputs: imageFormats,
+  outputs: ['bmp', 'eps', 'ico', 'svg', 'tga', 'wbmp', 'jpg', 'png', 'gif', 'tiff', 'webp', 'pdf'],
+  binaries: [binaries.ImageMagick, binaries.potrace],
+  // potrace only traces svg output when svgMode asks for it
+  binariesFor: ({ inputExt, target, options }) => [
+    ...(magickInputFormats.includes(inputExt) || magickOutputFormats.includes(target) ? [magickBinary()] : []),
+    ...(target === 'svg' && options?.svgMode === 'trace' ? [binaries.potrace] : []),
+  ],
+  modules: [modules.sharp, modules.imageToPdf, modules.fileType],
+  options: { ...imageEditOptions, ...imageFormatOptions },
+  normalizeOptions(options, { target, inputExt }) {
+    const { density, icoSizes: sizes, svgMode, ...editOptions } = options || {};
+    const formatOptions = normalizeFormatOptions({ density, icoSizes: sizes, svgMode }, { target, inputExt });
+    if (target === 'pdf') {
+      if (Object.keys(editOptions).length > 0) {
+        throw new Error('Image edit options do not apply to the pdf target.');
+      }
+      return formatOptions;
+    }
+    return { ...normalizeImageEditOptions(editOptions, { target }), ...formatOptions };
+  },
+  async validateInput({ inputPath, inputExt, target, originalName }) {
+    // Other inputs are rasterised to PNG before image-to-pdf sees them
+    if (target === 'pdf' && supportedImageToPdfFormats.includes(inputExt) && !(await validateImage(inputPath))) {
+      throw new Error(`Invalid or unsupported image file: ${originalName}`);
+    }
+  },
+  convert: ({ inputPath, outputPath, inputExt, target, options, signal }) => convertImage(inputPath, outputPath, target, {
+    signal,
+    options,
+    inputExt,
+  }),
+  convertImageToPDF,
+  convertPngToGif,
+  mergeImagesToPDF,
+  normalizeImagesToPdfOptions,
+};
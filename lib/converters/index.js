@@ -0,0 +1,171 @@
+const { findMissing } = require('../dependencies');
+const { validateOptions, describeOptions } = require('../optionSchema');
+
+// Converter registry. A converter module exports one definition (or an array of them):
+//   type         conversion type clients send in `formats[i].type`
+//   inputs       accepted input extensions; '*' in the list stands for any extension another converter accepts
+//   outputs      every target it can produce; targetsFor(inputExt) may narrow this per input
+//   binaries     external tools it may use, from dependencies.binaries
+//   binariesFor({ inputExt, target, options })  optional, the subset one conversion pair needs
+//                (defaults to all); options are the normalized ones when known
+//   modules      Node modules it needs, from dependencies.modules
+//   options      option schema for `formats[i].options` (see optionSchema.js)
+//   targetOptions  optional { target: schema } for targets whose options differ from `options`
+//   normalizeOptions(options, { target, inputExt })  optional, replaces the plain schema check
+//   validateInput({ inputPath, inputExt, target, originalName, options, timeout })  optional content check;
+//                timeout bounds any tool it runs
+//   convert({ inputPath, outputPath, inputExt, target, originalName, options, signal, onProgress })
+//     resolves with the output path when it differs from outputPath, or with
+//     { outputPath?, details } to report properties of the result such as dimensions
+const converters = new Map();
+
+function registerConverter(definition) {
+  for (const key of ['type', 'inputs', 'outputs', 'convert']) {
+    if (!definition[key]) {
+      throw new Error(`Converter definition is missing "${key}"`);
+    }
+  }
+  if (converters.has(definition.type)) {
+    throw new Error(`Converter type already registered: ${definition.type}`);
+  }
+  converters.set(definition.type, {
+    binaries: [],
+    modules: [],
+    options: {},
+    ...definition,
+  });
+}
+
+function getConverter(type) {
+  return converters.get(type);
+}
+
+function listConverters() {
+  return [...converters.values()];
+}
+
+// Every input extension some converter accepts; drives the multer file filter
+function allInputFormats() {
+  const formats = new Set();
+  for (const { inputs } of converters.values()) {
+    inputs.filter(format => format !== '*').forEach(format => formats.add(format));
+  }
+  return [...formats];
+}
+
+function inputsOf(converter) {
+  return converter.inputs.includes('*') ? allInputFormats() : converter.inputs;
+}
+
+function targetsOf(converter, inputExt) {
+  return converter.targetsFor ? converter.targetsFor(inputExt) : converter.outputs;
+}
+
+// Binaries and modules required by any registered converter, de-duplicated by name
+function requiredBinaries() {
+  return [...new Map(listConverters().flatMap(c => c.binaries).map(b => [b.name, b])).values()];
+}
+
+function requiredModules() {
+  return [...new Map(listConverters().flatMap(c => c.modules).map(m => [m.name, m])).values()];
+}
+
+// Check a requested conversion; returns the converter and normalized options or throws
+function resolveConversion({ type, inputExt, target, options }) {
+  const converter = converters.get(type);
+  if (!converter) {
+    throw new Error(`Unsupported conversion type: ${type}. Supported types: ${[...converters.keys()].join(', ')}`);
+  }
+  if (!converter.outputs.includes(target)) {
+    throw new Error(`Unsupported output format: ${target} for type ${type}. Supported formats: ${converter.outputs.join(', ')}`);
+  }
+  const inputs = inputsOf(converter);
+  if (!inputs.includes(inputExt)) {
+    throw new Error(`Unsupported input format: ${inputExt} for type ${type}. Supported formats: ${inputs.join(', ')}`);
+  }
+  const targets = targetsOf(converter, inputExt);
+  if (!targets.includes(target)) {
+    throw new Error(`Unsupported conversion from ${inputExt} to ${target} for type ${type}. Supported targets: ${targets.join(', ')}`);
+  }
+  const normalizedOptions = converter.normalizeOptions
+    ? converter.normalizeOptions(options, { target, inputExt })
+    : validateOptions(converter.options, options);
+  return { converter, options: normalizedOptions };
+}
+
+// Names of the dependencies a conversion needs that are known to be missing.
+// Without a pair, every dependency the converter declares is considered.
+function missingDependencies(converter, { inputExt, target, options } = {}) {
+  const pairBinaries = target && converter.binariesFor
+    ? converter.binariesFor({ inputExt, target, options })
+    : converter.binaries;
+  return findMissing([...pairBinaries, ...converter.modules]);
+}
+
+// 'available' when every pair works, 'degraded' when only some do, 'unavailable' when none do.
+// unavailableTargets lists the broken pairs of a degraded converter by input extension.
+function converterStatus(converter) {
+  if (missingDependencies(converter).length === 0) {
+    return { status: 'available', missingDependencies: [], unavailableTargets: {} };
+  }
+  const unavailableTargets = {};
+  let workingPairs = 0;
+  for (const inputExt of inputsOf(converter)) {
+    for (const target of targetsOf(converter, inputExt)) {
+      if (missingDependencies(converter, { inputExt, target }).length === 0) {
+        workingPairs++;
+      } else {
+        (unavailableTargets[inputExt] = unavailableTargets[inputExt] || []).push(target);
+      }
+    }
+  }
+  return {
+    status: workingPairs > 0 ? 'degraded' : 'unavailable',
+    missingDependencies: missingDependencies(converter),
+    unavailableTargets: workingPairs > 0 ? unavailableTargets : {},
+  };
+}
+
+// The live conversion matrix served by GET /api/formats
+function formatMatrix() {
+  const types = {};
+  for (const converter of converters.values()) {
+    const inputs = inputsOf(converter);
+    types[converter.type] = {
+      inputs,
+      outputs: converter.outputs,
+      targets: Object.fromEntries(inputs.map(inputExt => [inputExt, targetsOf(converter, inputExt)])),
+      options: describeOptions(converter.options),
+      ...(converter.targetOptions ? {
+        targetOptions: Object.fromEntries(Object.entries(converter.targetOptions)
+          .map(([target, schema]) => [target, describeOptions(schema)])),
+      } : {}),
+      binaries: converter.binaries.map(({ name }) => name),
+      ...converterStatus(converter),
+    };
+  }
+  return { inputs: allInputFormats(), types };
+}
+
+[
+  require('./image'),
+  require('./compressor'),
+  require('./pdfs'),
+  require('./media'),
+  require('./document'),
+  require('./archive'),
+  require('./ebook'),
+].flat().forEach(registerConverter);
+
+module.exports = {
+  registerConverter,
+  getConverter,
+  listConverters,
+  allInputFormats,
+  requiredBinaries,
+  requiredModules,
+  resolveConversion,
+  missingDependencies,
+  converterStatus,
+  formatMatrix,
+};
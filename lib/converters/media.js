@@ -0,0 +1,556 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const sharp = require('sharp');
+const tmp = require('tmp');
+const { throwIfAborted, raceAbort } = require('../abort');
+const { binaries, modules } = require('../dependencies');
+const { validateOptions } = require('../optionSchema');
+const { createProcessError, excerpt } = require('../processRunner');
+const { ffprobe } = require('../ffprobe');
+const { logger } = require('../logger');
+
+const audioFormats = ['mp3', 'wav', 'aac', 'flac', 'ogg', 'opus', 'wma', 'aiff', 'mmf'];
+const videoFormats = ['mp4', 'avi', 'mov', 'webm', 'mkv', 'flv', 'wmv', 'm4v', '3g2'];
+
+// Codecs each container accepts, as client-facing name -> ffmpeg encoder. The first video codec is
+// the one assumed when an option such as crf is given without a codec. 'copy' is allowed everywhere.
+const mp4AudioCodecs = { aac: 'aac', mp3: 'libmp3lame' };
+const audioContainers = {
+  mp3: { mp3: 'libmp3lame' },
+  wav: { pcm: 'pcm_s16le' },
+  aac: { aac: 'aac' },
+  flac: { flac: 'flac' },
+  ogg: { vorbis: 'libvorbis', opus: 'libopus' },
+  opus: { opus: 'libopus' },
+  wma: { wma: 'wmav2' },
+  aiff: { pcm: 'pcm_s16be' },
+  mmf: { adpcm: 'adpcm_yamaha' },
+};
+const videoContainers = {
+  mp4: { video: { h264: 'libx264', h265: 'libx265', mpeg4: 'mpeg4' }, audio: mp4AudioCodecs },
+  m4v: { video: { h264: 'libx264', h265: 'libx265', mpeg4: 'mpeg4' }, audio: mp4AudioCodecs },
+  mov: { video: { h264: 'libx264', h265: 'libx265', mpeg4: 'mpeg4' }, audio: { ...mp4AudioCodecs, pcm: 'pcm_s16le' } },
+  webm: { video: { vp9: 'libvpx-vp9', vp8: 'libvpx' }, audio: { opus: 'libopus', vorbis: 'libvorbis' } },
+  mkv: {
+    video: { h264: 'libx264', h265: 'libx265', vp9: 'libvpx-vp9', vp8: 'libvpx', mpeg4: 'mpeg4' },
+    audio: { aac: 'aac', mp3: 'libmp3lame', opus: 'libopus', vorbis: 'libvorbis', flac: 'flac' },
+  },
+  avi: { video: { mpeg4: 'mpeg4', h264: 'libx264' }, audio: { mp3: 'libmp3lame', pcm: 'pcm_s16le' } },
+  flv: { video: { flv: 'flv', h264: 'libx264' }, audio: { mp3: 'libmp3lame', aac: 'aac' } },
+  wmv: { video: { wmv2: 'wmv2' }, audio: { wma: 'wmav2' } },
+  '3g2': { video: { mpeg4: 'mpeg4', h264: 'libx264' }, audio: { aac: 'aac' } },
+};
+
+// ffmpeg muxers for extensions that are not muxer names themselves; the rest map to themselves
+const muxers = { mkv: 'matroska', wmv: 'asf', wma: 'asf', aac: 'adts', m4v: 'mp4' };
+
+// Valid CRF ranges; other video codecs only take a bitrate
+const crfRanges = { h264: [0, 51], h265: [0, 51], vp9: [0, 63] };
+const opusSampleRates = [8000, 12000, 16000, 24000, 48000];
+
+const uniqueNames = (maps) => [...new Set(maps.flatMap(Object.keys)), 'copy'];
+const timePattern = /^(\d+(\.\d+)?|(\d+:)?\d{1,2}:\d{1,2}(\.\d+)?)$/;
+
+// Named option sets; explicit options override the preset's values
+const mediaPresets = {
+  audio: {
+    'podcast-mp3': {
+      targets: ['mp3'],
+      options: { audioCodec: 'mp3', audioBitrate: 96, sampleRate: 44100, channels: 1 },
+    },
+  },
+  video: {
+    'web-mp4': {
+      targets: ['mp4', 'm4v'],
+      options: { videoCodec: 'h264', crf: 23, audioCodec: 'aac', audioBitrate: 128 },
+      outputOptions: ['-pix_fmt', 'yuv420p', '-movflags', '+faststart'],
+    },
+    'web-webm': {
+      targets: ['webm'],
+      options: { videoCodec: 'vp9', crf: 32, audioCodec: 'opus', audioBitrate: 128 },
+      outputOptions: ['-pix_fmt', 'yuv420p', '-row-mt', '1'],
+    },
+    whatsapp: {
+      targets: ['mp4'],
+      options: {
+        videoCodec: 'h264', crf: 28, width: 1280, height: 720, fps: 30, audioCodec: 'aac', audioBitrate: 128, sampleRate: 44100,
+      },
+      outputOptions: ['-profile:v', 'main', '-level', '3.1', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'],
+    },
+  },
+};
+
+const audioOptions = {
+  preset: { type: 'string', enum: Object.keys(mediaPresets.audio), description: 'Named option set; explicit options override it' },
+  audioCodec: {
+    type: 'string',
+    enum: uniqueNames([...Object.values(audioContainers), ...Object.values(videoContainers).map(c => c.audio)]),
+    description: 'Audio codec; must suit the target container',
+  },
+  audioBitrate: { type: 'integer', min: 8, max: 640, description: 'Audio bitrate in kbit/s' },
+  sampleRate: { type: 'integer', enum: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 96000], description: 'Audio sample rate in Hz' },
+  channels: { type: 'integer', min: 1, max: 8, description: 'Number of audio channels' },
+  start: { type: 'string', pattern: timePattern, description: 'Trim start, in seconds or [hh:]mm:ss[.ms]' },
+  end: { type: 'string', pattern: timePattern, description: 'Trim end, in seconds or [hh:]mm:ss[.ms]' },
+};
+
+const videoOptions = {
+  ...audioOptions,
+  preset: { type: 'string', enum: Object.keys(mediaPresets.video), description: 'Named option set; explicit options override it' },
+  videoCodec: {
+    type: 'string',
+    enum: uniqueNames(Object.values(videoContainers).map(c => c.video)),
+    description: 'Video codec; must suit the target container',
+  },
+  crf: { type: 'integer', min: 0, max: 63, description: 'Constant quality for h264/h265 (0-51) and vp9 (0-63); lower is better' },
+  videoBitrate: { type: 'integer', min: 50, max: 100000, description: 'Video bitrate in kbit/s; cannot be combined with crf' },
+  width: { type: 'integer', min: 16, max: 7680, description: 'Maximum width; the aspect ratio is kept' },
+  height: { type: 'integer', min: 16, max: 4320, description: 'Maximum height; the aspect ratio is kept' },
+  fps: { type: 'number', min: 1, max: 120, description: 'Output frame rate' },
+  stripAudio: { type: 'boolean', default: false, description: 'Drop the audio track' },
+};
+
+// Seconds from "90", "1:30" or "00:01:30.5"
+function parseTime(value) {
+  return String(value).split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+function resolveCodec(codecs, name, kind, target) {
+  if (name === undefined || name === 'copy') {
+    return name;
+  }
+  if (!codecs[name]) {
+    throw new Error(`${kind} codec "${name}" cannot be used in ${target}. Supported: ${[...Object.keys(codecs), 'copy'].join(', ')}`);
+  }
+  return codecs[name];
+}
+
+// Validate options for one audio or video conversion, applying a preset first.
+// Combinations ffmpeg would reject or silently ignore are refused here, before anything runs.
+function normalizeMediaOptions(type, options, target) {
+  const schema = type === 'video' ? videoOptions : audioOptions;
+  const label = type === 'video' ? 'Video option' : 'Audio option';
+  let requested = validateOptions(schema, options, label);
+
+  let preset = null;
+  if (requested.preset) {
+    preset = mediaPresets[type][requested.preset];
+    if (!preset.targets.includes(target)) {
+      throw new Error(`Preset "${requested.preset}" produces ${preset.targets.join(', ')}, not ${target}.`);
+    }
+    requested = validateOptions(schema, { ...preset.options, ...options }, label);
+  }
+  const normalized = { ...requested, outputOptions: preset?.outputOptions || [] };
+
+  const start = normalized.start !== undefined ? parseTime(normalized.start) : undefined;
+  const end = normalized.end !== undefined ? parseTime(normalized.end) : undefined;
+  if (start !== undefined && end !== undefined && end <= start) {
+    throw new Error(`${label} "end" must be after "start".`);
+  }
+  normalized.start = start;
+  normalized.end = end;
+
+  const container = type === 'video' ? videoContainers[target] : { audio: audioContainers[target] };
+  const audioSettings = ['audioCodec', 'audioBitrate', 'sampleRate', 'channels'].filter(key => normalized[key] !== undefined);
+  if (normalized.stripAudio && audioSettings.length > 0) {
+    throw new Error(`${label} "stripAudio" cannot be combined with ${audioSettings.join(', ')}.`);
+  }
+  if (normalized.audioCodec === 'copy' && audioSettings.length > 1) {
+    throw new Error(`${label} audioCodec "copy" cannot be combined with ${audioSettings.filter(k => k !== 'audioCodec').join(', ')}.`);
+  }
+  normalized.audioEncoder = resolveCodec(container.audio, normalized.audioCodec, 'Audio', target);
+  // Without an explicit codec the container's default encoder has the same limits
+  const audioEncoder = normalized.audioEncoder || Object.values(container.audio)[0];
+  if (audioEncoder === 'libopus' && normalized.sampleRate && !opusSampleRates.includes(normalized.sampleRate)) {
+    throw new Error(`Opus audio needs a sample rate of ${opusSampleRates.join(', ')} Hz.`);
+  }
+  if (audioEncoder === 'libmp3lame' && ((normalized.sampleRate || 0) > 48000 || (normalized.channels || 0) > 2)) {
+    throw new Error('MP3 audio supports at most 48000 Hz and 2 channels.');
+  }
+
+  if (type === 'video') {
+    const videoSettings = ['crf', 'videoBitrate', 'width', 'height', 'fps'].filter(key => normalized[key] !== undefined);
+    if (normalized.videoCodec === 'copy' && videoSettings.length > 0) {
+      throw new Error(`${label} videoCodec "copy" cannot be combined with ${videoSettings.join(', ')}.`);
+    }
+    if (normalized.crf !== undefined && normalized.videoBitrate !== undefined) {
+      throw new Error(`${label}s "crf" and "videoBitrate" are mutually exclusive.`);
+    }
+    if (normalized.crf !== undefined) {
+      // CRF depends on the encoder, so pin the container's default codec when none was given
+      normalized.videoCodec = normalized.videoCodec || Object.keys(container.video)[0];
+      const range = crfRanges[normalized.videoCodec];
+      if (!range) {
+        throw new Error(`${label} "crf" needs one of the codecs ${Object.keys(crfRanges).join(', ')}, not ${normalized.videoCodec}.`);
+      }
+      if (normalized.crf < range[0] || normalized.crf > range[1]) {
+        throw new Error(`${label} "crf" for ${normalized.videoCodec} must be between ${range[0]} and ${range[1]}.`);
+      }
+    }
+    normalized.videoEncoder = resolveCodec(container.video, normalized.videoCodec, 'Video', target);
+  }
+  return normalized;
+}
+
+const stillFormats = ['jpg', 'png'];
+const SPRITE_GAP = 4;
+const MAX_GIF_SECONDS = 60;
+const DEFAULT_GIF_SECONDS = 10;
+const hexColorPattern = /^#?[0-9a-fA-F]{6}$/;
+
+// Options for the image targets of a video: animated GIF, a single frame or a sprite sheet
+const gifOptions = {
+  start: { type: 'string', pattern: timePattern, default: '0', description: 'Clip start, in seconds or [hh:]mm:ss[.ms]' },
+  end: {
+    type: 'string',
+    pattern: timePattern,
+    description: `Clip end; defaults to ${DEFAULT_GIF_SECONDS}s after start, at most ${MAX_GIF_SECONDS}s of clip`,
+  },
+  fps: { type: 'number', min: 1, max: 30, default: 10, description: 'GIF frame rate' },
+  width: { type: 'integer', min: 16, max: 1920, default: 480, description: 'GIF width; the aspect ratio is kept' },
+  loop: { type: 'integer', min: -1, max: 100, default: 0, description: '0 loops forever, -1 plays once, N repeats N times' },
+};
+
+const frameOptions = {
+  at: { type: 'string', pattern: timePattern, description: 'Timestamp of a single frame; defaults to the first frame' },
+  width: { type: 'integer', min: 16, max: 3840, description: 'Frame width (sprite sheets: width of each tile, default 320)' },
+  height: { type: 'integer', min: 16, max: 2160, description: 'Frame height for single frames; the aspect ratio is kept' },
+  frames: { type: 'integer', min: 2, max: 100, description: 'Build a sprite sheet of this many evenly spaced frames' },
+  columns: { type: 'integer', min: 1, max: 20, description: 'Sprite sheet columns; defaults to a square-ish grid' },
+  start: { type: 'string', pattern: timePattern, description: 'Sprite sheet range start' },
+  end: { type: 'string', pattern: timePattern, description: 'Sprite sheet range end; defaults to the end of the clip' },
+};
+
+const waveformOptions = {
+  width: { type: 'integer', min: 200, max: 4000, default: 1200, description: 'Image width' },
+  height: { type: 'integer', min: 50, max: 1000, default: 240, description: 'Image height' },
+  color: { type: 'string', pattern: hexColorPattern, default: '3b82f6', description: 'Wave colour as hex, e.g. "#3b82f6"' },
+  background: {
+    type: 'string',
+    pattern: /^(transparent|#?[0-9a-fA-F]{6})$/,
+    default: 'transparent',
+    description: 'Background colour as hex, or "transparent"',
+  },
+  splitChannels: { type: 'boolean', default: false, description: 'Draw each channel separately' },
+};
+
+function normalizeGifOptions(options) {
+  const normalized = validateOptions(gifOptions, options, 'GIF option');
+  const start = parseTime(normalized.start);
+  const end = normalized.end !== undefined ? parseTime(normalized.end) : start + DEFAULT_GIF_SECONDS;
+  if (end <= start) {
+    throw new Error('GIF option "end" must be after "start".');
+  }
+  if (end - start > MAX_GIF_SECONDS) {
+    throw new Error(`GIF clips are limited to ${MAX_GIF_SECONDS} seconds.`);
+  }
+  return { ...normalized, start, end };
+}
+
+function normalizeFrameOptions(options) {
+  const normalized = validateOptions(frameOptions, options, 'Frame option');
+  if (normalized.frames === undefined) {
+    const spriteOnly = ['columns', 'start', 'end'].filter(key => normalized[key] !== undefined);
+    if (spriteOnly.length > 0) {
+      throw new Error(`Frame option(s) ${spriteOnly.join(', ')} only apply to sprite sheets; set "frames".`);
+    }
+    return { ...normalized, at: parseTime(normalized.at ?? '0') };
+  }
+  if (normalized.at !== undefined || normalized.height !== undefined) {
+    throw new Error('Frame options "at" and "height" only apply to single frames, not sprite sheets.');
+  }
+  const start = normalized.start !== undefined ? parseTime(normalized.start) : 0;
+  const end = normalized.end !== undefined ? parseTime(normalized.end) : undefined;
+  if (end !== undefined && end <= start) {
+    throw new Error('Frame option "end" must be after "start".');
+  }
+  return { ...normalized, width: normalized.width || 320, start, end };
+}
+
+// Colours arrive with or without the leading #
+function normalizeHex(color) {
+  return color.replace(/^#/, '').toLowerCase();
+}
+
+// Keep the aspect ratio within the requested bounds and even dimensions for the common encoders
+function scaleFilter({ width, height }) {
+  if (width && height) {
+    return `scale=w=${width}:h=${height}:force_original_aspect_ratio=decrease:force_divisible_by=2`;
+  }
+  return width ? `scale=${width}:-2` : `scale=-2:${height}`;
+}
+
+function applyMediaOptions(command, options, type) {
+  if (options.start !== undefined) {
+    command.seekInput(options.start);
+  }
+  if (options.end !== undefined) {
+    command.duration(options.end - (options.start || 0));
+  }
+
+  if (type === 'audio') {
+    command.noVideo();
+  } else {
+    if (options.videoEncoder) {
+      command.videoCodec(options.videoEncoder);
+    }
+    if (options.crf !== undefined) {
+      // libvpx-vp9 only runs in constant quality mode with a zero target bitrate
+      command.outputOptions(['-crf', String(options.crf), ...(options.videoEncoder === 'libvpx-vp9' ? ['-b:v', '0'] : [])]);
+    }
+    if (options.videoBitrate !== undefined) {
+      command.videoBitrate(options.videoBitrate);
+    }
+    if (options.width || options.height) {
+      command.videoFilters(scaleFilter(options));
+    }
+    if (options.fps !== undefined) {
+      command.fps(options.fps);
+    }
+    if (options.stripAudio) {
+      command.noAudio();
+    }
+  }
+
+  if (options.audioEncoder) {
+    command.audioCodec(options.audioEncoder);
+  }
+  if (options.audioBitrate !== undefined) {
+    command.audioBitrate(options.audioBitrate);
+  }
+  if (options.sampleRate !== undefined) {
+    command.audioFrequency(options.sampleRate);
+  }
+  if (options.channels !== undefined) {
+    command.audioChannels(options.channels);
+  }
+  if (options.outputOptions?.length > 0) {
+    command.outputOptions(options.outputOptions);
+  }
+}
+
+// Run a configured fluent-ffmpeg command, killing ffmpeg if the signal fires. fluent-ffmpeg probes the
+// input before spawning ffmpeg, so an abort in that window is acted on once ffmpeg starts.
+function runFfmpeg(command, outputPath, { signal, onProgress = () => {}, label = 'Media conversion' } = {}) {
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      logger.warn(`Killing ffmpeg for ${outputPath}: ${signal.reason?.message}`);
+      command.kill('SIGKILL');
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    command
+      .on('start', (commandLine) => {
+        if (signal?.aborted) {
+          logger.warn(`Killing ffmpeg for ${outputPath} as it starts: ${signal.reason?.message}`);
+          command.kill('SIGKILL');
+          return;
+        }
+        logger.info(`Running ffmpeg: ${commandLine}`);
+      })
+      .on('progress', (progress) => {
+        if (typeof progress.percent === 'number') {
+          onProgress(progress.percent / 100);
+        }
+      })
+      .on('end', () => {
+        signal?.removeEventListener('abort', onAbort);
+        logger.info(`${label} completed: ${outputPath}`);
+        resolve();
+      })
+      .on('error', (err, stdout, stderr) => {
+        signal?.removeEventListener('abort', onAbort);
+        logger.error(`${label} error: ${err.message}`);
+        reject(createProcessError('PROCESS_FAILED', `${label} failed: ${err.message}`, {
+          command: 'ffmpeg',
+          stderr: excerpt(stderr || ''),
+        }));
+      })
+      .save(outputPath);
+  });
+}
+
+async function convertMedia(inputPath, outputPath, format, { signal, onProgress = () => {}, options = {}, type = 'video' } = {}) {
+  const command = ffmpeg(inputPath).toFormat(muxers[format] || format);
+  applyMediaOptions(command, options, type);
+  return runFfmpeg(command, outputPath, { signal, onProgress });
+}
+
+async function probeDuration(inputPath, signal) {
+  const { format } = await ffprobe(inputPath, { signal });
+  const duration = Number(format?.duration);
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error('Could not determine the duration of the clip.');
+  }
+  return duration;
+}
+
+async function assertOutput(outputPath, message) {
+  try {
+    const { size } = await fsPromises.stat(outputPath);
+    if (size > 0) {
+      return;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new Error(message);
+}
+
+// Animated GIF of a clip; one pass builds a palette from the clip and applies it
+async function createGif(inputPath, outputPath, { start, end, fps, width, loop }, { signal, onProgress }) {
+  const command = ffmpeg(inputPath)
+    .seekInput(start)
+    .duration(end - start)
+    .noAudio()
+    .videoFilters(`fps=${fps},scale=${width}:-1:flags=lanczos,split[s0][s1];[s0]palettegen[p];[s1][p]paletteuse`)
+    .outputOptions(['-loop', String(loop)])
+    .toFormat('gif');
+  await runFfmpeg(command, outputPath, { signal, onProgress, label: 'GIF creation' });
+}
+
+// A single frame at a timestamp
+async function extractFrame(inputPath, outputPath, { at, width, height }, { signal, onProgress }) {
+  const command = ffmpeg(inputPath).seekInput(at).frames(1).noAudio();
+  if (width || height) {
+    command.videoFilters(scaleFilter({ width, height }));
+  }
+  await runFfmpeg(command, outputPath, { signal, onProgress, label: 'Frame extraction' });
+  await assertOutput(outputPath, `No frame found at ${at}s; the clip may be shorter.`);
+}
+
+// Contact sheet of evenly spaced frames: ffmpeg extracts the frames, sharp lays them out in a grid
+async function createSpriteSheet(inputPath, outputPath, format, options, { signal, onProgress }) {
+  const { frames, columns, width, start } = options;
+  const duration = await probeDuration(inputPath, signal);
+  const end = Math.min(options.end ?? duration, duration);
+  if (end <= start) {
+    throw new Error(`The clip is only ${duration.toFixed(2)}s long; "start" must be before its end.`);
+  }
+
+  const workDir = tmp.dirSync({ prefix: 'sprite-', unsafeCleanup: true });
+  try {
+    const command = ffmpeg(inputPath)
+      .seekInput(start)
+      .duration(end - start)
+      .noAudio()
+      .videoFilters([`fps=${frames}/${end - start}`, `scale=${width}:-2`])
+      .outputOptions(['-frames:v', String(frames)]);
+    await runFfmpeg(command, path.join(workDir.name, 'frame-%03d.png'), {
+      signal,
+      onProgress: fraction => onProgress(fraction * 0.8),
+      label: 'Frame extraction',
+    });
+
+    const framePaths = (await fsPromises.readdir(workDir.name)).filter(name => name.endsWith('.png')).sort()
+      .map(name => path.join(workDir.name, name));
+    if (framePaths.length === 0) {
+      throw new Error('No frames could be extracted for the sprite sheet.');
+    }
+    throwIfAborted(signal);
+    const { width: tileWidth, height: tileHeight } = await sharp(framePaths[0]).metadata();
+    const gap = SPRITE_GAP;
+    const columnCount = Math.min(columns || Math.ceil(Math.sqrt(framePaths.length)), framePaths.length);
+    const rowCount = Math.ceil(framePaths.length / columnCount);
+    const sheet = sharp({
+      create: {
+        width: columnCount * tileWidth + (columnCount + 1) * gap,
+        height: rowCount * tileHeight + (rowCount + 1) * gap,
+        channels: 3,
+        background: '#000000',
+      },
+    }).composite(framePaths.map((framePath, index) => ({
+      input: framePath,
+      left: gap + (index % columnCount) * (tileWidth + gap),
+      top: gap + Math.floor(index / columnCount) * (tileHeight + gap),
+    })));
+    await raceAbort(sheet.toFormat(format === 'jpg' ? 'jpeg' : 'png').toFile(outputPath), signal);
+    onProgress(1);
+    logger.info(`Sprite sheet of ${framePaths.length} frames created: ${outputPath}`);
+  } finally {
+    workDir.removeCallback();
+  }
+}
+
+// Waveform image of the audio track; sharp adds the background since ffmpeg draws on transparency
+async function createWaveform(inputPath, outputPath, { width, height, color, background, splitChannels }, { signal, onProgress }) {
+  const workDir = tmp.dirSync({ prefix: 'waveform-', unsafeCleanup: true });
+  try {
+    const wavePath = path.join(workDir.name, 'wave.png');
+    const command = ffmpeg(inputPath)
+      .complexFilter(`[0:a]showwavespic=s=${width}x${height}:colors=0x${color}:split_channels=${splitChannels ? 1 : 0}`)
+      .frames(1);
+    await runFfmpeg(command, wavePath, { signal, onProgress, label: 'Waveform rendering' });
+    await assertOutput(wavePath, 'No waveform was produced; the file may have no audio track.');
+    let image = sharp(wavePath);
+    if (background !== 'transparent') {
+      image = image.flatten({ background: `#${background}` });
+    }
+    await raceAbort(image.png().toFile(outputPath), signal);
+  } finally {
+    workDir.removeCallback();
+  }
+}
+
+const convertWithFfmpeg = type => ({ inputPath, outputPath, target, options, signal, onProgress }) => {
+  if (type === 'audio' && target === 'png') {
+    return createWaveform(inputPath, outputPath, options, { signal, onProgress });
+  }
+  if (type === 'video' && target === 'gif') {
+    return createGif(inputPath, outputPath, options, { signal, onProgress });
+  }
+  if (type === 'video' && stillFormats.includes(target)) {
+    return options.frames
+      ? createSpriteSheet(inputPath, outputPath, target, options, { signal, onProgress })
+      : extractFrame(inputPath, outputPath, options, { signal, onProgress });
+  }
+  return convertMedia(inputPath, outputPath, target, { signal, onProgress, options, type });
+};
+
+// Audio targets also accept video inputs, which extracts their soundtrack
+module.exports = [
+  {
+    type: 'audio',
+    inputs: [...audioFormats, ...videoFormats],
+    outputs: [...audioFormats, 'png'],
+    binaries: [binaries.ffmpeg],
+    modules: [modules.fluentFfmpeg, modules.sharp],
+    options: audioOptions,
+    targetOptions: { png: waveformOptions },
+    normalizeOptions(options, { target }) {
+      if (target === 'png') {
+        const normalized = validateOptions(waveformOptions, options, 'Waveform option');
+        return {
+          ...normalized,
+          color: normalizeHex(normalized.color),
+          background: normalized.background === 'transparent' ? 'transparent' : normalizeHex(normalized.background),
+        };
+      }
+      return normalizeMediaOptions('audio', options, target);
+    },
+    convert: convertWithFfmpeg('audio'),
+  },
+  {
+    type: 'video',
+    inputs: videoFormats,
+    outputs: [...videoFormats, 'gif', ...stillFormats],
+    binaries: [binaries.ffmpeg, binaries.ffprobe],
+    // Only sprite sheets probe the duration, but the option is not known here
+    binariesFor: ({ target }) => (stillFormats.includes(target) ? [binaries.ffmpeg, binaries.ffprobe] : [binaries.ffmpeg]),
+    modules: [modules.fluentFfmpeg, modules.sharp],
+    options: videoOptions,
+    targetOptions: { gif: gifOptions, jpg: frameOptions, png: frameOptions },
+    normalizeOptions(options, { target }) {
+      if (target === 'gif') {
+        return normalizeGifOptions(options);
+      }
+      if (stillFormats.includes(target)) {
+        return normalizeFrameOptions(options);
+      }
+      return normalizeMediaOptions('video', options, target);
+    },
+    convert: convertWithFfmpeg('video'),
+  },
+];
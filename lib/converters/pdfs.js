@@ -0,0 +1,226 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const tmp = require('tmp');
+const pdfParse = require('../pdfParse');
+const { runProcess } = require('../processRunner');
+const { throwIfAborted, raceAbort } = require('../abort');
+const { cleanupFiles } = require('../cleanup');
+const { binaries, modules, findMissing } = require('../dependencies');
+const { getFileConverter } = require('../fileConverter');
+const { validatePDF, getPdfPageCount } = require('../validation');
+const { validateOptions } = require('../optionSchema');
+const { parsePageRanges, checkPageRanges } = require('../pdfTools');
+const { convertPngToGif } = require('./image');
+const { logger } = require('../logger');
+
+const pdfImageFormats = ['jpg', 'png', 'gif'];
+
+// Options for PDF to image exports; page bounds are checked once the PDF is opened
+const pdfImageOptions = {
+  pages: { type: 'string', description: 'Pages to render for image targets, e.g. "1-3,7". Defaults to all pages.' },
+  dpi: { type: 'integer', min: 36, max: 600, default: 150, description: 'Render resolution for image targets' },
+  output: {
+    type: 'string',
+    enum: ['zip', 'animated-gif', 'first'],
+    description: 'How several rendered pages are returned; animated-gif needs the gif target',
+  },
+  delay: { type: 'number', min: 10, max: 60000, default: 1000, description: 'Animated GIF frame delay in milliseconds' },
+};
+
+function normalizePdfImageOptions(options, format) {
+  const normalized = validateOptions(pdfImageOptions, options, 'PDF option');
+  checkPageRanges(normalized.pages);
+  if (normalized.output === 'animated-gif' && format !== 'gif') {
+    throw new Error('PDF option output "animated-gif" requires the gif target.');
+  }
+  return normalized;
+}
+
+// Extract per-page text and document metadata with pdf-parse
+async function extractPdfText(inputPath) {
+  const dataBuffer = await fsPromises.readFile(inputPath);
+  const pages = [];
+  const data = await pdfParse(dataBuffer, {
+    // Same line joining as pdf-parse's default renderer, but kept per page
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+  const info = data.info || {};
+  return {
+    metadata: {
+      title: info.Title || null,
+      author: info.Author || null,
+      subject: info.Subject || null,
+      creator: info.Creator || null,
+      producer: info.Producer || null,
+      creationDate: info.CreationDate || null,
+      modDate: info.ModDate || null,
+      pageCount: data.numpages,
+      pdfVersion: info.PDFFormatVersion || null,
+    },
+    pages: Array.from({ length: data.numpages }, (_, i) => ({ page: i + 1, text: (pages[i] || '').trim() })),
+  };
+}
+
+const pdfTextFormats = ['txt', 'md', 'json'];
+
+async function convertPdfToText(inputPath, outputPath, format, { signal } = {}) {
+  try {
+    const { metadata, pages } = await raceAbort(extractPdfText(inputPath), signal);
+    let output;
+    if (format === 'json') {
+      output = JSON.stringify({ metadata, pages }, null, 2);
+    } else if (format === 'md') {
+      const sections = metadata.title ? [`# ${metadata.title}`] : [];
+      for (const { page, text } of pages) {
+        sections.push(`## Page ${page}`, text);
+      }
+      output = `${sections.join('\n\n')}\n`;
+    } else {
+      // Form feeds separate pages, as pdftotext does
+      output = `${pages.map(({ text }) => text).join('\n\f\n')}\n`;
+    }
+    await fsPromises.writeFile(outputPath, output, 'utf8');
+    logger.info(`PDF text extraction to ${format} completed: ${outputPath}`);
+  } catch (err) {
+    throwIfAborted(signal);
+    throw new Error(`PDF to ${format} extraction failed: ${err.message}`, { cause: err });
+  }
+}
+
+async function convertPdf(inputPath, outputPath, format, { signal, onProgress = () => {}, options } = {}) {
+  if (['jpg', 'png', 'gif'].includes(format)) {
+    const { pages, dpi, output, delay } = normalizePdfImageOptions(options, format);
+    const zipPath = outputPath.replace(/\.[^.]+$/, '.zip');
+    const workDir = tmp.dirSync({ prefix: 'pdf-pages-', unsafeCleanup: true });
+    try {
+      const pageCount = await getPdfPageCount(inputPath);
+      const selectedPages = parsePageRanges(pages, pageCount);
+      // Multi-page selections default to a zip, or an animated GIF for the gif target
+      const mode = output || (selectedPages.length === 1 ? 'first' : format === 'gif' ? 'animated-gif' : 'zip');
+      const renderPages = mode === 'first' ? selectedPages.slice(0, 1) : selectedPages;
+      if (mode === 'zip' && findMissing([binaries.sevenZip]).length > 0) {
+        const err = new Error(`Exporting ${selectedPages.length} pages as a zip is unavailable: 7-Zip is not installed. Select one page or use output "first".`);
+        err.code = 'BACKEND_UNAVAILABLE';
+        err.status = 503;
+        err.missing = [binaries.sevenZip.name];
+        throw err;
+      }
+      const renderFormat = format === 'gif' ? 'png' : format;
+      const renderOption = renderFormat === 'jpg' ? '-jpeg' : '-png';
+      // One extra step for assembling the GIF or zip
+      const totalSteps = renderPages.length + 1;
+
+      const pagePaths = [];
+      for (const [index, page] of renderPages.entries()) {
+        throwIfAborted(signal);
+        const pageBase = path.join(workDir.name, `page-${String(page).padStart(4, '0')}`);
+        await runProcess('pdftoppm', [
+          renderOption, '-r', String(dpi), '-f', String(page), '-l', String(page), '-singlefile', inputPath, pageBase,
+        ], { signal });
+        const pagePath = `${pageBase}.${renderFormat}`;
+        if (!(await fsPromises.access(pagePath).then(() => true).catch(() => false))) {
+          throw new Error(`PDF to image output not found for page ${page}: ${pagePath}`);
+        }
+        pagePaths.push(pagePath);
+        onProgress((index + 1) / totalSteps);
+      }
+
+      if (mode === 'animated-gif') {
+        await runProcess('convert', [
+          '-delay', String(Math.round(delay / 10)), '-loop', '0', ...pagePaths, outputPath,
+        ], { signal });
+        logger.info(`Rendered ${pagePaths.length} PDF page(s) to animated GIF: ${outputPath}`);
+        return outputPath;
+      }
+
+      if (format === 'gif') {
+        for (const [index, pagePath] of pagePaths.entries()) {
+          const gifPath = pagePath.replace(/\.png$/, '.gif');
+          await convertPngToGif(pagePath, gifPath, { signal });
+          pagePaths[index] = gifPath;
+        }
+      }
+
+      if (mode === 'first') {
+        await fsPromises.copyFile(pagePaths[0], outputPath);
+        logger.info(`Rendered PDF page ${renderPages[0]} to ${format}: ${outputPath}`);
+        return outputPath;
+      }
+
+      await runProcess('7z', ['a', '-tzip', '-y', zipPath, ...pagePaths], { signal });
+      logger.info(`Rendered ${pagePaths.length} PDF page(s) to ${format} zip: ${zipPath}`);
+      return zipPath;
+    } catch (pdfError) {
+      await cleanupFiles([zipPath]);
+      throwIfAborted(signal);
+      throw new Error(`PDF to image conversion failed for ${inputPath} to ${format}: ${pdfError.message}`, { cause: pdfError });
+    } finally {
+      workDir.removeCallback();
+    }
+  } else if (pdfTextFormats.includes(format)) {
+    await convertPdfToText(inputPath, outputPath, format, { signal });
+  } else if (format === 'docx') {
+    try {
+      await raceAbort(getFileConverter().pdfToWord({ input: inputPath, output: outputPath }), signal);
+      logger.info(`PDF to DOCX conversion completed using multi-format-converter: ${outputPath}`);
+    } catch (err) {
+      throwIfAborted(signal);
+      throw new Error(`PDF to DOCX conversion failed: ${err.message}`, { cause: err });
+    }
+  } else {
+    throw new Error(`Unsupported PDF output format: ${format}`);
+  }
+}
+
+module.exports = {
+  type: 'pdfs',
+  inputs: ['pdf'],
+  outputs: [...pdfImageFormats, 'docx', ...pdfTextFormats],
+  binaries: [binaries.popplerUtils, binaries.ImageMagick, binaries.sevenZip],
+  // 7-Zip only when a zip is asked for; whether the default output is a zip depends on the page count,
+  // so convertPdf checks for it once the pages are known
+  binariesFor({ target, options }) {
+    if (!pdfImageFormats.includes(target)) {
+      return [];
+    }
+    return [
+      binaries.popplerUtils,
+      ...(target === 'gif' ? [binaries.ImageMagick] : []),
+      ...(options?.output === 'zip' ? [binaries.sevenZip] : []),
+    ];
+  },
+  modules: [modules.multiFormatConverter],
+  options: pdfImageOptions,
+  normalizeOptions(options, { target }) {
+    if (pdfImageFormats.includes(target)) {
+      return normalizePdfImageOptions(options, target);
+    }
+    if (options && Object.keys(options).length > 0) {
+      throw new Error(`PDF options only apply to ${pdfImageFormats.join(', ')} targets.`);
+    }
+    return {};
+  },
+  async validateInput({ inputPath, originalName }) {
+    if (!(await validatePDF(inputPath))) {
+      throw new Error(`Invalid or corrupted PDF file: ${originalName}`);
+    }
+  },
+  convert: ({ inputPath, outputPath, target, options, signal, onProgress }) => convertPdf(inputPath, outputPath, target, {
+    signal,
+    onProgress,
+    options,
+  }),
+  extractPdfText,
+  convertPdfToText,
+  pdfTextFormats,
+};
@@ -0,0 +1,99 @@
+const { runProcess } = require('./processRunner');
+const { logger } = require('./logger');
+
+// External binaries the converters can declare; each is probed with a version command
+const binaries = {
+  GraphicsMagick: { name: 'GraphicsMagick', command: 'gm', args: ['version'] },
+  ImageMagick: { name: 'ImageMagick', command: 'convert', args: ['-version'] },
+  popplerUtils: { name: 'poppler-utils', command: 'pdftoppm', args: ['-v'] },
+  libvips: { name: 'libvips', command: 'vips', args: ['--version'] },
+  ffmpeg: { name: 'ffmpeg', command: 'ffmpeg', args: ['-version'] },
+  ffprobe: { name: 'ffprobe', command: 'ffprobe', args: ['-version'] },
+  calibre: { name: 'calibre', command: 'ebook-convert', args: ['--version'] },
+  ebookMeta: { name: 'ebook-meta', command: 'ebook-meta', args: ['--version'] },
+  sevenZip: { name: '7-Zip', command: '7z', args: ['i'] },
+  libreOffice: { name: 'LibreOffice', command: 'soffice', args: ['--version'] },
+  potrace: { name: 'potrace', command: 'potrace', args: ['--version'] },
+};
+
+// Node modules the converters can declare
+const modules = {
+  fileType: { name: 'file-type', module: 'file-type' },
+  imageToPdf: { name: 'image-to-pdf', module: 'image-to-pdf' },
+  fluentFfmpeg: { name: 'fluent-ffmpeg', module: 'fluent-ffmpeg' },
+  sharp: { name: 'sharp', module: 'sharp' },
+  multiFormatConverter: { name: 'multi-format-converter', module: 'multi-format-converter' },
+  pdfLib: { name: 'pdf-lib', module: 'pdf-lib' },
+  pdfkit: { name: 'pdfkit', module: 'pdfkit' },
+  exifReader: { name: 'exif-reader', module: 'exif-reader' },
+};
+
+// Results of the last check, keyed by binary or module name
+const status = {};
+let lastCheckedAt = null;
+
+function moduleVersion(module) {
+  try {
+    return require(`${module}/package.json`).version;
+  } catch {
+    // Packages with an exports map may hide package.json
+    return null;
+  }
+}
+
+// Check for dependencies
+async function checkDependencies(binaryChecks = Object.values(binaries), moduleChecks = Object.values(modules)) {
+  const results = {};
+
+  for (const { name, command, args } of binaryChecks) {
+    try {
+      const { stdout, stderr } = await runProcess(command, args, { timeout: 10000 });
+      const version = (stdout || stderr).trim().split('\n')[0];
+      logger.info(`${name} is installed and available: ${version}`);
+      results[name] = true;
+      status[name] = { kind: 'binary', available: true, version, error: null };
+    } catch (err) {
+      logger.warn(`${name} not found: ${err.message}`);
+      results[name] = false;
+      status[name] = { kind: 'binary', available: false, version: null, error: err.message };
+    }
+  }
+
+  // Check module dependencies
+  for (const { name, module } of moduleChecks) {
+    try {
+      require(module);
+      logger.info(`${name} module is installed and available`);
+      results[name] = true;
+      status[name] = { kind: 'module', available: true, version: moduleVersion(module), error: null };
+    } catch (err) {
+      logger.warn(`${name} module not found: ${err.message}`);
+      results[name] = false;
+      status[name] = { kind: 'module', available: false, version: null, error: err.message.split('\n')[0] };
+    }
+  }
+
+  lastCheckedAt = new Date();
+  return results;
+}
+
+// Last known availability, or undefined if the dependency has not been checked yet
+function getDependencyStatus(name) {
+  return status[name]?.available;
+}
+
+// Names of the given binaries or modules that are known to be missing
+function findMissing(dependencies) {
+  return dependencies.map(({ name }) => name).filter(name => getDependencyStatus(name) === false);
+}
+
+// Everything the last check found, for the health endpoints
+function getDependencyReport() {
+  const report = { checkedAt: lastCheckedAt ? lastCheckedAt.toISOString() : null, binaries: {}, modules: {} };
+  for (const [name, { kind, ...details }] of Object.entries(status)) {
+    report[kind === 'binary' ? 'binaries' : 'modules'][name] = details;
+  }
+  return report;
+}
+
+module.exports = { binaries, modules, checkDependencies, getDependencyStatus, findMissing, getDependencyReport };
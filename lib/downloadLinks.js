@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fsPromises = require('fs').promises;
+const { cleanupFiles } = require('./cleanup');
+const { logger } = require('./logger');
+
+function createLinkError(message, status, code) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function hmac(secret, value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// HMAC-signed, expiring download links for converted files, plus per-file delete tokens.
+// maxUses of 0 allows any number of downloads until the link expires. Use counts are kept in memory.
+function createDownloadLinks({ secret, ttlSeconds = 3600, maxUses = 0 }) {
+  const uses = new Map();
+
+  // A signed path for one converted file, and the token its submitter needs to delete it
+  function sign(name, now = Date.now()) {
+    const expires = Math.floor(now / 1000) + ttlSeconds;
+    const signature = hmac(secret, `download:${name}:${expires}`);
+    return {
+      path: `/converted/${encodeURIComponent(name)}?expires=${expires}&signature=${signature}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+      maxDownloads: maxUses || null,
+      deleteToken: hmac(secret, `delete:${name}`),
+    };
+  }
+
+  // Check a download request. Each fresh transfer uses up a download; a resumed one (a Range that does not
+  // start at byte 0) is free only when the same client already has a counted transfer of this file, so an
+  // interrupted download can be finished but Range requests cannot be used to get around maxUses.
+  // Returns { last: true } when the file has no downloads left once this request completes.
+  // With consume false (HEAD requests) the link is checked but no download is used up.
+  function authorize(name, { expires, signature }, {
+    resuming = false, client = '', consume = true, now = Date.now(),
+  } = {}) {
+    if (!expires || !signature || !safeEqual(signature, hmac(secret, `download:${name}:${expires}`))) {
+      throw createLinkError('Invalid download link.', 403, 'DOWNLOAD_LINK_INVALID');
+    }
+    if (Number(expires) * 1000 < now) {
+      throw createLinkError('This download link has expired.', 410, 'DOWNLOAD_LINK_EXPIRED');
+    }
+    if (!maxUses) {
+      return { last: false };
+    }
+    const entry = uses.get(name) || { count: 0, expires: Number(expires), clients: new Set() };
+    if (resuming && entry.clients.has(client)) {
+      return { last: entry.count >= maxUses };
+    }
+    if (entry.count >= maxUses) {
+      throw createLinkError(`This file has already been downloaded ${maxUses} time(s).`, 410, 'DOWNLOAD_LIMIT_REACHED');
+    }
+    if (!consume) {
+      return { last: false };
+    }
+    entry.count++;
+    entry.expires = Math.max(entry.expires, Number(expires));
+    entry.clients.add(client);
+    uses.set(name, entry);
+    return { last: entry.count >= maxUses };
+  }
+
+  function canDelete(name, token) {
+    return safeEqual(token, hmac(secret, `delete:${name}`));
+  }
+
+  function forget(name) {
+    uses.delete(name);
+  }
+
+  // Drop the counts of links that have expired anyway
+  function prune(now = Date.now()) {
+    for (const [name, { expires }] of uses) {
+      if (expires * 1000 < now) {
+        uses.delete(name);
+      }
+    }
+  }
+
+  return { sign, authorize, canDelete, forget, prune };
+}
+
+// GET and HEAD handler for /converted/:filename. The file must exist before a download is counted, and
+// HEAD (link previews, uptime checks) never counts one or deletes the file after its last download.
+function createDownloadHandler({ links, fileStore }) {
+  return async (req, res) => {
+    const filename = req.params.filename;
+    const head = req.method === 'HEAD';
+    const refuse = (err) => {
+      logger.warn(`Refused download of ${filename}: ${err.message}`);
+      res.status(err.status || 403).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+    };
+    let filePath;
+    let grant;
+    try {
+      filePath = fileStore.resolve(filename);
+    } catch (err) {
+      return refuse(err);
+    }
+    try {
+      await fsPromises.access(filePath);
+    } catch {
+      logger.warn(`Converted file not found: ${filePath}`);
+      return res.status(404).json({ error: 'Converted file not found.' });
+    }
+    try {
+      const range = /^bytes=(\d*)-/.exec(req.headers.range || '');
+      grant = links.authorize(filename, req.query, {
+        resuming: Boolean(range && Number(range[1]) > 0),
+        client: req.ip,
+        consume: !head,
+      });
+    } catch (err) {
+      return refuse(err);
+    }
+    // Points the download's log lines at the request and job that produced the file
+    logger.info(`Serving file: ${filePath}`, { producedBy: fileStore.origin(filename) });
+    // The file goes out under a sanitised version of the uploaded name, e.g. report.pdf -> report.docx
+    res.download(filePath, fileStore.downloadName(filename), async (err) => {
+      if (err) {
+        logger.error('Error sending file:', err);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Failed to send converted file.' });
+        }
+      } else {
+        logger.info(`File sent successfully: ${filePath}`);
+        if (grant.last && !head) {
+          await cleanupFiles([filePath]);
+          fileStore.forget(filename);
+        }
+      }
+    });
+  };
+}
+
+module.exports = { createDownloadLinks, createDownloadHandler };
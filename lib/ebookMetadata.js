@@ -0,0 +1,112 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { runProcess } = require('./processRunner');
+
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+const singleLine = /^[^\n]{1,500}$/;
+
+// Covers arrive as base64 data URLs inside the JSON options, or as uploads the server inlines as data URLs
+const coverOption = {
+  type: 'string',
+  pattern: /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/,
+  description: `Cover image as a PNG or JPEG data URL, or "asset:<file name>" for one uploaded in the assets field, up to ${MAX_COVER_BYTES / 1024 / 1024} MB`,
+};
+
+// Fields ebook-meta can write
+const metadataOptions = {
+  title: { type: 'string', pattern: singleLine },
+  authors: { type: 'string', pattern: singleLine, description: 'Separate several authors with "&"' },
+  publisher: { type: 'string', pattern: singleLine },
+  language: { type: 'string', pattern: /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})?$/ },
+  tags: { type: 'string', pattern: singleLine, description: 'Comma-separated' },
+  series: { type: 'string', pattern: singleLine },
+  seriesIndex: { type: 'number', min: 0, max: 100000 },
+  comments: { type: 'string', pattern: /^[\s\S]{1,10000}$/ },
+  cover: coverOption,
+};
+const metadataFlags = {
+  title: '--title',
+  authors: '--authors',
+  publisher: '--publisher',
+  language: '--language',
+  tags: '--tags',
+  series: '--series',
+  seriesIndex: '--index',
+  comments: '--comments',
+};
+
+// Reject oversized covers while validating options, before the base64 is decoded
+function checkCoverSize(dataUrl) {
+  if (dataUrl !== undefined && Math.floor((dataUrl.length - dataUrl.indexOf(',') - 1) * 0.75) > MAX_COVER_BYTES) {
+    throw new Error(`Cover images are limited to ${MAX_COVER_BYTES / 1024 / 1024} MB.`);
+  }
+}
+
+// Decode a cover data URL into dir and return its path
+async function writeCover(dataUrl, dir) {
+  const [, type] = /^data:image\/(png|jpeg);/.exec(dataUrl);
+  const data = Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64');
+  const coverPath = path.join(dir, `cover.${type === 'jpeg' ? 'jpg' : 'png'}`);
+  await fsPromises.writeFile(coverPath, data);
+  return coverPath;
+}
+
+// calibre picks the format from the extension, which uploads do not have
+async function withExtension(inputPath, ext, dir) {
+  const linkPath = path.join(dir, `input.${ext}`);
+  await fsPromises.symlink(path.resolve(inputPath), linkPath);
+  return linkPath;
+}
+
+// "Author(s)" -> "authors", "Title sort" -> "titleSort"
+function fieldKey(label) {
+  const words = label.replace(/\(s\)$/, 's').toLowerCase().split(/\s+/);
+  return words.map((word, i) => (i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))).join('');
+}
+
+// Parse ebook-meta's "Field     : value" lines; a line without a field continues the previous value
+function parseEbookMeta(stdout) {
+  const metadata = {};
+  let lastKey = null;
+  for (const line of stdout.split(/\r?\n/)) {
+    const match = /^([A-Za-z][A-Za-z() ]*?)\s+: (.*)$/.exec(line);
+    if (match) {
+      lastKey = fieldKey(match[1]);
+      metadata[lastKey] = match[2].trim();
+    } else if (lastKey && line.trim()) {
+      metadata[lastKey] += `\n${line.trim()}`;
+    }
+  }
+  return metadata;
+}
+
+// Read the metadata of a file that already has its ebook extension
+async function readEbookMetadata(filePath, { signal } = {}) {
+  const { stdout } = await runProcess('ebook-meta', [filePath], { signal, timeout: 60000 });
+  return parseEbookMeta(stdout);
+}
+
+// Write the given fields in place; options are validated against metadataOptions
+async function writeEbookMetadata(filePath, options, { workDir, signal } = {}) {
+  const args = [filePath];
+  for (const [key, value] of Object.entries(options)) {
+    if (key === 'cover') {
+      args.push('--cover', await writeCover(value, workDir));
+    } else if (value !== undefined) {
+      args.push(metadataFlags[key], String(value));
+    }
+  }
+  await runProcess('ebook-meta', args, { signal });
+  return readEbookMetadata(filePath, { signal });
+}
+
+module.exports = {
+  coverOption,
+  metadataOptions,
+  checkCoverSize,
+  writeCover,
+  withExtension,
+  parseEbookMeta,
+  readEbookMetadata,
+  writeEbookMetadata,
+};
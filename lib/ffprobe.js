@@ -0,0 +1,16 @@
+const { runProcess } = require('./processRunner');
+
+// Probe a media file's format and streams. Runs through runProcess so an abort kills ffprobe
+// instead of leaving it running.
+async function ffprobe(filePath, { signal, timeout = 60000 } = {}) {
+  const { stdout } = await runProcess('ffprobe', [
+    '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', '--', filePath,
+  ], { signal, timeout });
+  try {
+    return JSON.parse(stdout);
+  } catch (err) {
+    throw new Error(`ffprobe returned unreadable output: ${err.message}`);
+  }
+}
+
+module.exports = { ffprobe };
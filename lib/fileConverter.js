@@ -0,0 +1,14 @@
+const pdfParse = require('./pdfParse');
+
+let converter;
+
+// Shared multi-format-converter instance, created on first use
+function getFileConverter() {
+  if (!converter) {
+    const { FileConverter } = require('multi-format-converter');
+    converter = new FileConverter({ pdfParse });
+  }
+  return converter;
+}
+
+module.exports = { getFileConverter };
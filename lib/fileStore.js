@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { logContext } = require('./logger');
+
+// Stored file IDs: a plain name, no separators and no leading dot
+const idPattern = /^[A-Za-z0-9][A-Za-z0-9._-]{0,254}$/;
+const maxNameLength = 200;
+
+function createFileStoreError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_FILE_NAME';
+  err.status = 400;
+  return err;
+}
+
+// Extensions as used in stored IDs, e.g. "docx" or "tar.gz"
+function cleanExtension(ext) {
+  return String(ext || '').toLowerCase().replace(/^\.+/, '').replace(/[^a-z0-9.]/g, '').slice(0, 20);
+}
+
+// The stem of a user-supplied file name, without directories, control characters, quotes or
+// characters Windows rejects, so it can go into a Content-Disposition header
+function cleanStem(name) {
+  const base = String(name || '').replace(/\\/g, '/').split('/').pop();
+  // "archive.tar.gz" -> "archive"
+  const stem = base.replace(/(\.tar)?\.[^.]*$/i, '') || base;
+  return stem
+    .replace(/[\u0000-\u001f\u007f"*:<>?|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .slice(0, maxNameLength);
+}
+
+// Output files live in one directory under random IDs; an in-memory index maps each ID to the name
+// it is downloaded as, derived from the upload's original name ("report.pdf" -> "report.docx"), and to the
+// request and job that produced it, so a download's log lines can point back at its conversion.
+function createFileStore(dir) {
+  const root = path.resolve(dir);
+  const index = new Map();
+
+  // Absolute path of a stored file. Rejects anything that is not a plain ID inside the directory.
+  function resolve(id) {
+    if (typeof id !== 'string' || !idPattern.test(id) || id.includes('..')) {
+      throw createFileStoreError('Invalid file name.');
+    }
+    const filePath = path.resolve(root, id);
+    const relative = path.relative(root, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative) || relative.includes(path.sep)) {
+      throw createFileStoreError('Invalid file name.');
+    }
+    return filePath;
+  }
+
+  function entryFor(id, { name, suffix }) {
+    // Outputs reserved before their job is queued carry only the request ID, which the job's log lines share
+    const { requestId, jobId } = logContext();
+    return {
+      downloadName: downloadNameFor(id, { name, suffix }),
+      createdAt: Date.now(),
+      origin: { ...(requestId ? { requestId } : {}), ...(jobId ? { jobId } : {}) },
+    };
+  }
+
+  function downloadNameFor(id, { name, suffix }) {
+    const ext = cleanExtension(id.slice(id.indexOf('.') + 1));
+    const stem = cleanStem(name) || 'download';
+    const fullStem = suffix ? `${stem}-${cleanStem(suffix)}` : stem;
+    return id.includes('.') && ext ? `${fullStem}.${ext}` : fullStem;
+  }
+
+  // Reserve a new output: returns { id, path }. The file itself is not created, since some tools
+  // (7-Zip) add to an existing file instead of replacing it.
+  async function createOutput({ name, ext, suffix } = {}) {
+    const extension = cleanExtension(ext);
+    for (;;) {
+      const id = `${crypto.randomBytes(16).toString('hex')}${extension ? `.${extension}` : ''}`;
+      const filePath = resolve(id);
+      const exists = index.has(id) || await fsPromises.access(filePath).then(() => true).catch(() => false);
+      if (!exists) {
+        index.set(id, entryFor(id, { name, suffix }));
+        return { id, path: filePath };
+      }
+    }
+  }
+
+  // Index a file a tool wrote under a name of its own choosing (e.g. a zip next to the reserved path)
+  function register(filePath, { name, suffix } = {}) {
+    const id = path.basename(filePath);
+    if (resolve(id) !== path.resolve(filePath)) {
+      throw createFileStoreError(`${filePath} is not inside the file store.`);
+    }
+    index.set(id, entryFor(id, { name, suffix }));
+    return id;
+  }
+
+  // Name to send in Content-Disposition; files without an index entry are sent under their ID
+  function downloadName(id) {
+    return index.get(id)?.downloadName || id;
+  }
+
+  // { requestId, jobId? } of the conversion that wrote the file, or null if it is not indexed
+  function origin(id) {
+    return index.get(id)?.origin || null;
+  }
+
+  function forget(id) {
+    index.delete(id);
+  }
+
+  // Drop index entries older than maxAge, whose files the periodic cleanup removes anyway
+  function prune(maxAge, now = Date.now()) {
+    for (const [id, { createdAt }] of index) {
+      if (now - createdAt > maxAge) {
+        index.delete(id);
+      }
+    }
+  }
+
+  return { dir: root, resolve, createOutput, register, downloadName, origin, forget, prune };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,266 @@
+const fsPromises = require('fs').promises;
+const sharp = require('sharp');
+const { throwIfAborted, raceAbort } = require('./abort');
+const { validateOptions } = require('./optionSchema');
+
+const MAX_OPERATIONS = 20;
+const MAX_WATERMARK_BYTES = 512 * 1024;
+const MIN_SEARCH_QUALITY = 5;
+
+const hexColorPattern = /^#?[0-9a-fA-F]{6}$/;
+const gravities = ['northwest', 'north', 'northeast', 'west', 'center', 'east', 'southwest', 'south', 'southeast'];
+// Formats whose encoder takes a quality setting; PNG quality means palette quantisation
+const qualityFormats = ['jpg', 'jpeg', 'webp', 'png'];
+const alphaFormats = ['png', 'webp', 'gif', 'tiff'];
+
+// One schema per operation; `op` names the operation and is not part of it
+const operationSchemas = {
+  resize: {
+    width: { type: 'integer', min: 1, max: 10000 },
+    height: { type: 'integer', min: 1, max: 10000 },
+    fit: { type: 'string', enum: ['cover', 'contain', 'fill', 'inside', 'outside'], default: 'cover' },
+    withoutEnlargement: { type: 'boolean', default: false },
+    background: { type: 'string', pattern: hexColorPattern, default: '#ffffff' },
+  },
+  crop: {
+    left: { type: 'integer', min: 0, default: 0 },
+    top: { type: 'integer', min: 0, default: 0 },
+    width: { type: 'integer', min: 1, required: true },
+    height: { type: 'integer', min: 1, required: true },
+  },
+  rotate: {
+    angle: { type: 'number', min: -360, max: 360, required: true },
+    background: { type: 'string', pattern: hexColorPattern, default: '#ffffff' },
+  },
+  autoOrient: {},
+  flip: {
+    direction: { type: 'string', enum: ['horizontal', 'vertical', 'both'], required: true },
+  },
+  grayscale: {},
+  flatten: {
+    background: { type: 'string', pattern: hexColorPattern, default: '#ffffff' },
+  },
+  watermark: {
+    text: { type: 'string', pattern: /^[^\n]{1,200}$/ },
+    image: {
+      type: 'string',
+      pattern: /^data:image\/(png|jpeg|webp|svg\+xml);base64,[A-Za-z0-9+/=]+$/,
+      description: 'PNG, JPEG, WebP or SVG data URL, or "asset:<file name>" for one uploaded in the assets field',
+    },
+    position: { type: 'string', enum: gravities, default: 'southeast' },
+    opacity: { type: 'number', min: 0, max: 1, default: 0.5 },
+    fontSize: { type: 'integer', min: 8, max: 400 },
+    color: { type: 'string', pattern: hexColorPattern, default: '#ffffff' },
+    scale: { type: 'number', min: 0.05, max: 1, default: 0.25 },
+    margin: { type: 'integer', min: 0, max: 500, default: 16 },
+  },
+};
+
+const imageEditOptions = {
+  operations: {
+    type: 'array',
+    maxItems: MAX_OPERATIONS,
+    description: `Edits applied in order, e.g. [{ "op": "resize", "width": 800 }]. Operations: ${Object.keys(operationSchemas).join(', ')}`,
+  },
+  quality: { type: 'integer', min: 1, max: 100, description: `Encoder quality for ${qualityFormats.join(', ')} targets` },
+  targetSize: {
+    type: 'integer',
+    min: 1024,
+    max: 50 * 1024 * 1024,
+    description: 'Largest acceptable output in bytes; the highest quality that fits is chosen',
+  },
+  stripMetadata: { type: 'boolean', default: true, description: 'Drop EXIF, ICC and other metadata from the output' },
+};
+
+const operationLabel = op => `${op.charAt(0).toUpperCase()}${op.slice(1)} option`;
+
+function normalizeOperation(operation, index) {
+  if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+    throw new Error(`Operation ${index + 1} must be an object with an "op" field.`);
+  }
+  const { op, ...options } = operation;
+  if (!Object.hasOwn(operationSchemas, op)) {
+    throw new Error(`Unknown image operation "${op}" at position ${index + 1}. Supported: ${Object.keys(operationSchemas).join(', ')}`);
+  }
+  const normalized = { op, ...validateOptions(operationSchemas[op], options, operationLabel(op)) };
+  if (op === 'resize' && !normalized.width && !normalized.height) {
+    throw new Error('Resize needs a width, a height or both.');
+  }
+  if (op === 'watermark') {
+    if (Boolean(normalized.text) === Boolean(normalized.image)) {
+      throw new Error('Watermark needs exactly one of "text" or "image".');
+    }
+    if (normalized.image) {
+      normalized.image = Buffer.from(normalized.image.slice(normalized.image.indexOf(',') + 1), 'base64');
+      if (normalized.image.length > MAX_WATERMARK_BYTES) {
+        throw new Error(`Watermark images are limited to ${MAX_WATERMARK_BYTES / 1024} KB.`);
+      }
+    }
+  }
+  return normalized;
+}
+
+// Validate the edit options for one image conversion before any work starts
+function normalizeImageEditOptions(options, { target, defaultQuality } = {}) {
+  const normalized = validateOptions(imageEditOptions, options, 'Image option');
+  normalized.operations = (normalized.operations || []).map(normalizeOperation);
+  if ((normalized.quality !== undefined || normalized.targetSize !== undefined) && !qualityFormats.includes(target)) {
+    throw new Error(`Image options "quality" and "targetSize" only apply to ${qualityFormats.join(', ')} targets.`);
+  }
+  if (normalized.quality !== undefined && normalized.targetSize !== undefined) {
+    throw new Error('Image options "quality" and "targetSize" are mutually exclusive.');
+  }
+  if (normalized.quality === undefined && normalized.targetSize === undefined && defaultQuality !== undefined) {
+    normalized.quality = defaultQuality;
+  }
+  return normalized;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&'"]/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;',
+  })[char]);
+}
+
+const withHash = color => (color.startsWith('#') ? color : `#${color}`);
+
+// Render a watermark to a buffer no larger than the image it goes on
+async function renderWatermark({ text, image, opacity, fontSize, color, scale, margin }, { width, height }) {
+  if (text) {
+    const size = fontSize || Math.max(12, Math.round(width / 25));
+    // Rough advance width for a sans-serif face; the overlay is clipped to the image anyway
+    const textWidth = Math.min(width, Math.ceil(text.length * size * 0.6) + margin * 2);
+    const textHeight = Math.min(height, Math.ceil(size * 1.4) + margin * 2);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${textWidth}" height="${textHeight}">`
+      + `<text x="${margin}" y="${textHeight - margin - Math.round(size * 0.3)}" font-family="sans-serif" font-size="${size}" `
+      + `fill="${withHash(color)}" fill-opacity="${opacity}">${escapeXml(text)}</text></svg>`;
+    return Buffer.from(svg);
+  }
+  const overlayWidth = Math.max(1, Math.round(width * scale) - margin * 2);
+  const resized = await sharp(image)
+    .resize({ width: overlayWidth, height: Math.max(1, height - margin * 2), fit: 'inside' })
+    .ensureAlpha()
+    .png()
+    .toBuffer();
+  // Scale the overlay's own alpha by the requested opacity
+  return sharp(resized)
+    .composite([{
+      input: Buffer.from([255, 255, 255, Math.round(opacity * 255)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in',
+    }])
+    .png()
+    .toBuffer();
+}
+
+const operationHandlers = {
+  resize: (image, { width, height, fit, withoutEnlargement, background }) => image.resize({
+    width,
+    height,
+    fit,
+    withoutEnlargement,
+    background: withHash(background),
+  }),
+  crop(image, { left, top, width, height }, metadata) {
+    if (left + width > metadata.width || top + height > metadata.height) {
+      throw new Error(`Crop ${width}x${height}+${left}+${top} is outside the ${metadata.width}x${metadata.height} image.`);
+    }
+    return image.extract({ left, top, width, height });
+  },
+  rotate: (image, { angle, background }) => image.rotate(angle, { background: withHash(background) }),
+  autoOrient: image => image.autoOrient(),
+  flip(image, { direction }) {
+    if (direction !== 'horizontal') {
+      image.flip();
+    }
+    return direction === 'vertical' ? image : image.flop();
+  },
+  grayscale: image => image.grayscale(),
+  flatten: (image, { background }) => image.flatten({ background: withHash(background) }),
+  async watermark(image, options, metadata) {
+    const overlay = await renderWatermark(options, metadata);
+    return image.composite([{ input: overlay, gravity: options.position }]);
+  },
+};
+
+// Apply the operations one at a time, in the order given. sharp reorders calls within a single
+// pipeline, so each step is materialised as a lossless PNG that keeps the metadata for later steps.
+async function applyOperations(inputPath, operations, { signal } = {}) {
+  let current = inputPath;
+  for (const operation of operations) {
+    throwIfAborted(signal);
+    const metadata = await sharp(current).metadata();
+    const image = await operationHandlers[operation.op](sharp(current), operation, metadata);
+    current = await raceAbort(image.keepMetadata().png({ compressionLevel: 0 }).toBuffer(), signal);
+  }
+  return current;
+}
+
+function encoder(source, format, { quality, stripMetadata, flattenAlpha }) {
+  let image = sharp(source);
+  if (flattenAlpha) {
+    image = image.flatten({ background: '#ffffff' });
+  }
+  if (!stripMetadata) {
+    image = image.keepMetadata();
+  }
+  if (format === 'png' && quality !== undefined) {
+    return image.png({ quality, palette: true });
+  }
+  return image.toFormat(format, quality !== undefined ? { quality } : {});
+}
+
+// Highest quality whose output fits in targetSize, by bisection; falls back to the smallest result
+async function encodeToSize(source, format, targetSize, settings, signal) {
+  let low = MIN_SEARCH_QUALITY;
+  let high = 95;
+  let best = null;
+  let smallest = null;
+  while (low <= high) {
+    throwIfAborted(signal);
+    const quality = Math.floor((low + high) / 2);
+    const data = await raceAbort(encoder(source, format, { ...settings, quality }).toBuffer(), signal);
+    if (!smallest || data.length < smallest.data.length) {
+      smallest = { data, quality };
+    }
+    if (data.length <= targetSize) {
+      best = { data, quality };
+      low = quality + 1;
+    } else {
+      high = quality - 1;
+    }
+  }
+  return best ? { ...best, targetSizeMet: true } : { ...smallest, targetSizeMet: false };
+}
+
+// Edit and encode an image with sharp. Resolves with the final format, dimensions and byte size.
+// density rasterises vector input (SVG) at that DPI before any operation runs.
+async function renderImage(inputPath, outputPath, format, options = {}, { signal, density } = {}) {
+  const { operations = [], quality, targetSize, stripMetadata = true } = options;
+  const input = density ? await raceAbort(sharp(inputPath, { density }).png().toBuffer(), signal) : inputPath;
+  const source = await applyOperations(input, operations, { signal });
+  // JPEG has no alpha channel; without an explicit flatten, transparency becomes white rather than black
+  const hasAlpha = !alphaFormats.includes(format) && !operations.some(({ op }) => op === 'flatten')
+    && (await sharp(source).metadata()).hasAlpha;
+  const settings = { stripMetadata, flattenAlpha: hasAlpha };
+
+  const details = {};
+  if (targetSize !== undefined) {
+    const result = await encodeToSize(source, format, targetSize, settings, signal);
+    await fsPromises.writeFile(outputPath, result.data);
+    details.quality = result.quality;
+    details.targetSizeMet = result.targetSizeMet;
+  } else {
+    await raceAbort(encoder(source, format, { ...settings, quality }).toFile(outputPath), signal);
+    if (quality !== undefined) {
+      details.quality = quality;
+    }
+  }
+
+  const metadata = await sharp(outputPath).metadata();
+  const { size } = await fsPromises.stat(outputPath);
+  return { format: metadata.format, width: metadata.width, height: metadata.height, size, ...details };
+}
+
+module.exports = { imageEditOptions, normalizeImageEditOptions, renderImage };
@@ -0,0 +1,179 @@
+const fsPromises = require('fs').promises;
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const pdfParse = require('./pdfParse');
+const { raceAbort } = require('./abort');
+const { ffprobe } = require('./ffprobe');
+const { binaries, modules } = require('./dependencies');
+const { archiveFormats, listArchive } = require('./archive');
+const registry = require('./converters');
+const { logger } = require('./logger');
+
+const MAX_ARCHIVE_ENTRIES = 1000;
+
+// Image formats sharp can read; the others only get the basic file details
+const sharpReadableFormats = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'tiff', 'svg'];
+
+// Which inspector handles an input format, and what it needs installed
+function inspectorFor(ext) {
+  if (registry.getConverter('audio').inputs.includes(ext)) {
+    return { kind: 'media', dependencies: [binaries.ffprobe] };
+  }
+  if (ext === 'pdf') {
+    return { kind: 'pdf', dependencies: [] };
+  }
+  if (sharpReadableFormats.includes(ext)) {
+    return { kind: 'image', dependencies: [modules.sharp, modules.exifReader] };
+  }
+  if (archiveFormats.includes(ext)) {
+    return { kind: 'archive', dependencies: [binaries.sevenZip] };
+  }
+  return { kind: 'file', dependencies: [] };
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// ffprobe reports frame rates as fractions such as "30000/1001"
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  return num && den ? Math.round((num / den) * 1000) / 1000 : null;
+}
+
+async function inspectMedia(filePath, { signal }) {
+  const { format = {}, streams = [] } = await ffprobe(filePath, { signal });
+  const summarized = streams.map(stream => ({
+    index: stream.index,
+    type: stream.codec_type,
+    codec: stream.codec_name || null,
+    codecLongName: stream.codec_long_name || null,
+    profile: stream.profile || null,
+    bitRate: toNumber(stream.bit_rate),
+    duration: toNumber(stream.duration),
+    language: stream.tags?.language || null,
+    ...(stream.codec_type === 'video' ? {
+      width: stream.width,
+      height: stream.height,
+      frameRate: parseFrameRate(stream.avg_frame_rate) || parseFrameRate(stream.r_frame_rate),
+      pixelFormat: stream.pix_fmt || null,
+      displayAspectRatio: stream.display_aspect_ratio || null,
+    } : {}),
+    ...(stream.codec_type === 'audio' ? {
+      sampleRate: toNumber(stream.sample_rate),
+      channels: stream.channels ?? null,
+      channelLayout: stream.channel_layout || null,
+    } : {}),
+  }));
+  const video = summarized.find(stream => stream.type === 'video');
+  return {
+    container: format.format_name || null,
+    containerLongName: format.format_long_name || null,
+    duration: toNumber(format.duration),
+    bitRate: toNumber(format.bit_rate),
+    resolution: video ? { width: video.width, height: video.height } : null,
+    hasVideo: Boolean(video),
+    hasAudio: summarized.some(stream => stream.type === 'audio'),
+    tags: format.tags || {},
+    streams: summarized,
+  };
+}
+
+// Buffers (maker notes, thumbnails) are reported by size rather than dumped into the JSON
+function jsonSafe(value) {
+  if (Buffer.isBuffer(value)) {
+    return `<${value.length} bytes>`;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(jsonSafe);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, jsonSafe(item)]));
+  }
+  return value;
+}
+
+function parseExif(buffer) {
+  try {
+    return jsonSafe(exifReader(buffer));
+  } catch (err) {
+    logger.warn(`Could not parse EXIF data: ${err.message}`);
+    return null;
+  }
+}
+
+async function inspectImage(filePath, { signal }) {
+  const metadata = await raceAbort(sharp(filePath).metadata(), signal);
+  return {
+    format: metadata.format,
+    width: metadata.width,
+    height: metadata.height,
+    space: metadata.space || null,
+    channels: metadata.channels,
+    depth: metadata.depth || null,
+    density: metadata.density || null,
+    hasAlpha: Boolean(metadata.hasAlpha),
+    hasProfile: Boolean(metadata.hasProfile),
+    isProgressive: Boolean(metadata.isProgressive),
+    orientation: metadata.orientation || null,
+    pages: metadata.pages || 1,
+    exif: metadata.exif ? parseExif(metadata.exif) : null,
+  };
+}
+
+async function inspectPdf(filePath, { signal }) {
+  const dataBuffer = await fsPromises.readFile(filePath);
+  // Only the first page is rendered; the page count comes from the document catalogue
+  const data = await raceAbort(pdfParse(dataBuffer, { max: 1 }), signal);
+  const info = data.info || {};
+  return {
+    pages: data.numpages,
+    pdfVersion: info.PDFFormatVersion || null,
+    encrypted: Boolean(info.IsEncrypted),
+    info: jsonSafe(info),
+  };
+}
+
+async function inspectArchive(filePath, { signal }) {
+  const { type, entries } = await listArchive(filePath, { signal });
+  const files = entries.map(({ link, ...entry }) => entry);
+  const regularFiles = files.filter(file => !file.directory);
+  return {
+    type,
+    fileCount: regularFiles.length,
+    directoryCount: files.length - regularFiles.length,
+    totalSize: regularFiles.reduce((total, file) => total + file.size, 0),
+    entries: files.slice(0, MAX_ARCHIVE_ENTRIES),
+    truncated: files.length > MAX_ARCHIVE_ENTRIES,
+  };
+}
+
+const inspectors = {
+  media: inspectMedia,
+  image: inspectImage,
+  pdf: inspectPdf,
+  archive: inspectArchive,
+  file: async () => null,
+};
+
+// Describe an upload without converting it; ext is the content-checked input type
+async function inspectFile(filePath, { ext, mime, name, signal } = {}) {
+  const { kind } = inspectorFor(ext);
+  const { size } = await fsPromises.stat(filePath);
+  let details;
+  try {
+    details = await inspectors[kind](filePath, { signal });
+  } catch (err) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    throw new Error(`Could not inspect ${name || ext} as ${kind}: ${err.message}`);
+  }
+  return { name, type: ext, mime, size, kind, metadata: details };
+}
+
+module.exports = { inspectFile, inspectorFor };
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { logger, logContext, withLogContext } = require('./logger');
+
+const JOB_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+
+// Bounded worker pool for conversion jobs. onFinish is called with each job once it settles.
+function createJobQueue({ concurrency = 2, retention = 60 * 60 * 1000, onFinish } = {}) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  function toJSON(job) {
+    return {
+      id: job.id,
+      kind: job.kind,
+      requestId: job.logContext.requestId || null,
+      status: job.status,
+      progress: Math.round(job.progress * 100),
+      progressMessage: job.progressMessage,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      result: job.result,
+      error: job.error,
+    };
+  }
+
+  function finish(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = Date.now();
+    if (status === 'done') {
+      job.progress = 1;
+    }
+    withLogContext(job.logContext, () => {
+      const fields = { jobStatus: status, durationMs: job.finishedAt - (job.startedAt || job.createdAt) };
+      if (status === 'failed') {
+        logger.warn(`Job ${job.id} ${status}: ${error.message}`, fields, error.code ? { code: error.code } : {});
+      } else {
+        logger.info(`Job ${job.id} ${status}${error ? `: ${error.message}` : ''}`, fields);
+      }
+      if (onFinish) {
+        try {
+          onFinish(job);
+        } catch (err) {
+          logger.error(`Job ${job.id} finish hook failed:`, err);
+        }
+      }
+      job.resolveDone(job);
+    });
+  }
+
+  // Runs in the context of the request that submitted the job, so the task's log lines carry both IDs
+  function runJob(job) {
+    return withLogContext(job.logContext, () => executeJob(job));
+  }
+
+  async function executeJob(job) {
+    running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    logger.info(`Job ${job.id} started (${running}/${concurrency} workers busy)`);
+    // Converters may pass a status line along with the fraction, e.g. calibre's current stage
+    const reportProgress = (fraction, message) => {
+      if (job.status === 'running' && Number.isFinite(fraction)) {
+        job.progress = Math.min(Math.max(fraction, job.progress), 1);
+        if (message) {
+          job.progressMessage = message;
+        }
+      }
+    };
+    try {
+      const result = await job.task({ signal: job.controller.signal, reportProgress, jobId: job.id });
+      if (job.status === 'running') {
+        finish(job, 'done', { result });
+      }
+    } catch (err) {
+      if (job.status === 'running') {
+        finish(job, job.controller.signal.aborted ? 'cancelled' : 'failed', {
+          error: {
+            message: err.message || 'Conversion failed.',
+            ...(err.code ? { code: err.code } : {}),
+            ...(err.status ? { status: err.status } : {}),
+          },
+        });
+      }
+    } finally {
+      running--;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      runJob(pending.shift());
+    }
+  }
+
+  // Queue a task; it is called with { signal, reportProgress, jobId } once a worker is free.
+  // owner is whatever the caller uses to attribute the job, e.g. the client it is billed to; kind names
+  // the endpoint that submitted it, for logs and metrics.
+  function submit(task, { cleanup, owner = null, kind = null } = {}) {
+    const job = {
+      id: crypto.randomBytes(12).toString('hex'),
+      status: 'queued',
+      progress: 0,
+      progressMessage: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      task,
+      owner,
+      kind,
+      // The submitting request's log context plus the job's own ID
+      logContext: null,
+      controller: new AbortController(),
+    };
+    job.done = new Promise((resolve) => {
+      job.resolveDone = resolve;
+    }).then(async (settled) => {
+      if (cleanup) {
+        try {
+          await cleanup(settled);
+        } catch (err) {
+          logger.error(`Job ${settled.id} cleanup failed:`, err);
+        }
+      }
+      return settled;
+    });
+    job.logContext = { ...logContext(), jobId: job.id, ...(kind ? { jobKind: kind } : {}) };
+    jobs.set(job.id, job);
+    pending.push(job);
+    withLogContext(job.logContext, () => logger.info(`Job ${job.id} queued (${pending.length} waiting)`));
+    drain();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id);
+  }
+
+  // Cancel a queued or running job; returns false if it has already finished
+  function cancel(id, reason = 'Job cancelled') {
+    const job = jobs.get(id);
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      return false;
+    }
+    const index = pending.indexOf(job);
+    if (index !== -1) {
+      pending.splice(index, 1);
+    }
+    const error = reason instanceof Error ? reason : new Error(reason);
+    job.controller.abort(error);
+    finish(job, 'cancelled', { error: { message: error.message, ...(error.code ? { code: error.code } : {}) } });
+    return true;
+  }
+
+  // Forget finished jobs older than the retention window
+  function prune() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now - job.finishedAt > retention) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  function stats() {
+    return { queued: pending.length, running, concurrency, tracked: jobs.size };
+  }
+
+  return { submit, get, cancel, prune, stats, toJSON };
+}
+
+module.exports = { createJobQueue, JOB_STATUSES };
@@ -0,0 +1,63 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const tmp = require('tmp');
+const { runProcess } = require('./processRunner');
+
+const libreOfficeInputFormats = ['docx', 'odt', 'rtf', 'txt'];
+const libreOfficeOutputFormats = ['pdf', 'docx', 'odt', 'rtf', 'txt'];
+
+// Export filters for soffice --convert-to; plain text is written as UTF-8
+const exportFilters = {
+  pdf: 'pdf:writer_pdf_Export',
+  docx: 'docx:MS Word 2007 XML',
+  odt: 'odt:writer8',
+  rtf: 'rtf:Rich Text Format',
+  txt: 'txt:Text (encoded):UTF8',
+};
+
+// Convert a document with headless LibreOffice. Every call gets its own user profile
+// so parallel conversions do not fight over the profile lock.
+async function convertWithLibreOffice(inputPath, outputPath, { inputExt, format, signal } = {}) {
+  if (!libreOfficeInputFormats.includes(inputExt)) {
+    throw new Error(`LibreOffice cannot convert ${inputExt} input. Supported inputs: ${libreOfficeInputFormats.join(', ')}`);
+  }
+  if (!exportFilters[format]) {
+    throw new Error(`LibreOffice cannot produce ${format}. Supported outputs: ${libreOfficeOutputFormats.join(', ')}`);
+  }
+
+  const profileDir = tmp.dirSync({ prefix: 'lo-profile-', unsafeCleanup: true });
+  const workDir = tmp.dirSync({ prefix: 'lo-work-', unsafeCleanup: true });
+  try {
+    // Uploads have no extension, and LibreOffice picks the import filter from it
+    const sourcePath = path.join(workDir.name, `source.${inputExt}`);
+    await fsPromises.copyFile(inputPath, sourcePath);
+    const outDir = path.join(workDir.name, 'out');
+    await fsPromises.mkdir(outDir);
+
+    await runProcess('soffice', [
+      `-env:UserInstallation=${pathToFileURL(profileDir.name).href}`,
+      '--headless',
+      '--norestore',
+      '--nolockcheck',
+      '--convert-to', exportFilters[format],
+      '--outdir', outDir,
+      sourcePath,
+    ], { signal });
+
+    // soffice exits 0 even when the import fails, so check for the output file
+    const producedPath = path.join(outDir, `source.${format}`);
+    try {
+      await fsPromises.access(producedPath);
+    } catch {
+      throw new Error(`LibreOffice produced no ${format} output; the ${inputExt} file may be corrupt or password protected`);
+    }
+    await fsPromises.copyFile(producedPath, outputPath);
+    return outputPath;
+  } finally {
+    workDir.removeCallback();
+    profileDir.removeCallback();
+  }
+}
+
+module.exports = { convertWithLibreOffice, libreOfficeInputFormats, libreOfficeOutputFormats };
@@ -0,0 +1,63 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+// Request and job IDs for whatever is running; every log line written inside picks them up
+const contextStorage = new AsyncLocalStorage();
+
+function logContext() {
+  return contextStorage.getStore() || {};
+}
+
+// Run fn with extra context fields, on top of the current ones
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...logContext(), ...fields }, fn);
+}
+
+function serializeError(err) {
+  return {
+    message: err.message,
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.status ? { status: err.status } : {}),
+    ...(err.stderr ? { stderr: err.stderr } : {}),
+    stack: err.stack,
+  };
+}
+
+// Arguments work like console.log's: strings and numbers join into the message, an Error adds its
+// message and an `error` field, and plain objects become fields of the JSON line
+function write(level, args) {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+  const parts = [];
+  const fields = {};
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      parts.push(arg.message);
+      fields.error = serializeError(arg);
+    } else if (arg !== null && typeof arg === 'object' && !Array.isArray(arg)) {
+      Object.assign(fields, arg);
+    } else if (arg !== undefined) {
+      parts.push(Array.isArray(arg) ? JSON.stringify(arg) : String(arg));
+    }
+  }
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: parts.join(' '),
+    ...logContext(),
+    ...fields,
+  });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const logger = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+};
+
+module.exports = { logger, logContext, withLogContext };
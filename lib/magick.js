@@ -0,0 +1,19 @@
+const { runProcess } = require('./processRunner');
+const { binaries, getDependencyStatus } = require('./dependencies');
+
+// ImageMagick is preferred; `gm convert` takes the same arguments for the formats used here
+function magickBinary() {
+  const imageMagickMissing = getDependencyStatus(binaries.ImageMagick.name) === false;
+  return imageMagickMissing && getDependencyStatus(binaries.GraphicsMagick.name) === true
+    ? binaries.GraphicsMagick
+    : binaries.ImageMagick;
+}
+
+// Run a convert command line with whichever toolkit is installed
+function magickConvert(args, { signal, timeout } = {}) {
+  const binary = magickBinary();
+  const [command, commandArgs] = binary === binaries.GraphicsMagick ? ['gm', ['convert', ...args]] : ['convert', args];
+  return runProcess(command, commandArgs, { signal, timeout });
+}
+
+module.exports = { magickBinary, magickConvert };
@@ -0,0 +1,120 @@
+// Minimal Prometheus registry: counters, gauges and histograms rendered in the text exposition format
+
+const defaultBuckets = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// Label values in the order the metric declares its label names, so { to, from } and { from, to } match
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push({ ...metric, name: `${prefix}${metric.name}` });
+  }
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    register({
+      name,
+      help,
+      type: 'counter',
+      lines: (fullName) => [...values].map(([key, value]) => `${fullName}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(value)}`),
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      },
+    };
+  }
+
+  // collect() is called on every scrape and returns [{ labels, value }], e.g. a queue length or directory size
+  function gauge(name, help, collect) {
+    register({
+      name,
+      help,
+      type: 'gauge',
+      lines: async (fullName) => (await collect()).map(({ labels = {}, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`),
+    });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = defaultBuckets) {
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: 'histogram',
+      lines: (fullName) => [...series].flatMap(([key, { counts, sum, count }]) => {
+        const labels = labelsFromKey(labelNames, key);
+        return [
+          ...buckets.map((bound, i) => `${fullName}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+          `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+          `${fullName}_count${formatLabels(labels)} ${count}`,
+        ];
+      }),
+    });
+    return {
+      observe(labels, value) {
+        const key = labelKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            entry.counts[i]++;
+          }
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+    };
+  }
+
+  // The whole registry in Prometheus text format; a gauge whose collector fails is skipped for this scrape
+  async function render() {
+    const blocks = [];
+    for (const metric of metrics) {
+      let lines;
+      try {
+        lines = await metric.lines(metric.name);
+      } catch {
+        continue;
+      }
+      blocks.push([`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n'));
+    }
+    return `${blocks.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,77 @@
+// Validate a per-file options object against a converter's option schema.
+// Schema entries look like { type: 'integer', min: 36, max: 600, default: 150 } or { type: 'string', enum: [...] }.
+// Array entries only check the list itself; callers validate the items.
+// Returns the options with defaults applied; throws on unknown keys or invalid values.
+function validateOptions(schema = {}, options = {}, label = 'Option') {
+  if (options === undefined || options === null) {
+    options = {};
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${label}s must be an object.`);
+  }
+  const unknown = Object.keys(options).filter(key => !Object.hasOwn(schema, key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${label.toLowerCase()}(s): ${unknown.join(', ')}. Supported: ${Object.keys(schema).join(', ') || 'none'}`);
+  }
+
+  const normalized = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    let value = options[key];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        throw new Error(`${label} "${key}" is required.`);
+      }
+      if (rule.default !== undefined) {
+        normalized[key] = rule.default;
+      }
+      continue;
+    }
+
+    if (rule.type === 'string') {
+      if (typeof value === 'number') {
+        value = String(value);
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`${label} "${key}" must be a string.`);
+      }
+    } else if (rule.type === 'number' || rule.type === 'integer') {
+      value = Number(value);
+      if (!Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`${label} "${key}" must be ${rule.type === 'integer' ? 'an integer' : 'a number'}.`);
+      }
+    } else if (rule.type === 'array') {
+      if (!Array.isArray(value)) {
+        throw new Error(`${label} "${key}" must be a list.`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        throw new Error(`${label} "${key}" allows at most ${rule.maxItems} item(s).`);
+      }
+    } else if (rule.type === 'boolean') {
+      if (value === 'true' || value === 'false') {
+        value = value === 'true';
+      }
+      if (typeof value !== 'boolean') {
+        throw new Error(`${label} "${key}" must be true or false.`);
+      }
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      throw new Error(`${label} "${key}" must be one of: ${rule.enum.join(', ')}`);
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      throw new Error(`${label} "${key}" must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}.`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      throw new Error(`${label} "${key}" has an invalid format.`);
+    }
+    normalized[key] = value;
+  }
+  return normalized;
+}
+
+// Strip validation-only details so the schema can be published as JSON
+function describeOptions(schema = {}) {
+  return Object.fromEntries(Object.entries(schema).map(([key, { pattern, ...rule }]) => [key, rule]));
+}
+
+module.exports = { validateOptions, describeOptions };
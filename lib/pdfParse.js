@@ -0,0 +1,12 @@
+const { logger } = require('./logger');
+
+// Patch pdf-parse to handle ENOENT error
+let pdfParse;
+try {
+  pdfParse = require('pdf-parse');
+} catch (err) {
+  logger.warn('pdf-parse initialization failed:', err);
+  pdfParse = { renderPage: () => Promise.resolve(Buffer.from('')) };
+}
+
+module.exports = pdfParse;
@@ -0,0 +1,145 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { PDFDocument, degrees } = require('pdf-lib');
+
+// Parse a page selection such as "1-3,7" into page numbers.
+// Sorted and de-duplicated by default; keepOrder preserves the listed order for reordering.
+function parsePageRanges(spec, pageCount, { keepOrder = false } = {}) {
+  if (spec === undefined || spec === null || spec === '' || spec === 'all') {
+    return Array.from({ length: pageCount }, (_, i) => i + 1);
+  }
+  const pages = [];
+  for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = /^(\d+)(?:\s*-\s*(\d+)?)?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid page range: "${part}". Use a list such as "1-3,7".`);
+    }
+    const start = parseInt(match[1], 10);
+    const end = match[2] !== undefined ? parseInt(match[2], 10) : (part.includes('-') ? pageCount : start);
+    if (start < 1 || end < start) {
+      throw new Error(`Invalid page range: "${part}".`);
+    }
+    if (end > pageCount) {
+      throw new Error(`Page range "${part}" is outside the document, which has ${pageCount} page(s).`);
+    }
+    for (let page = start; page <= end; page++) {
+      pages.push(page);
+    }
+  }
+  if (pages.length === 0) {
+    throw new Error('Page selection is empty.');
+  }
+  return keepOrder ? pages : [...new Set(pages)].sort((a, b) => a - b);
+}
+
+// Check the syntax of a page selection before the page count is known
+function checkPageRanges(spec) {
+  if (spec === undefined || spec === null || spec === '' || spec === 'all') {
+    return;
+  }
+  if (typeof spec !== 'string' && typeof spec !== 'number') {
+    throw new Error('Page selection must be a string such as "1-3,7".');
+  }
+  const parts = String(spec).split(',').map(p => p.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error('Page selection is empty.');
+  }
+  for (const part of parts) {
+    const match = /^(\d+)(?:\s*-\s*(\d+)?)?$/.exec(part);
+    if (!match || parseInt(match[1], 10) < 1 || (match[2] !== undefined && parseInt(match[2], 10) < parseInt(match[1], 10))) {
+      throw new Error(`Invalid page range: "${part}". Use a list such as "1-3,7".`);
+    }
+  }
+}
+
+async function loadPdf(inputPath) {
+  const bytes = await fsPromises.readFile(inputPath);
+  try {
+    return await PDFDocument.load(bytes);
+  } catch (err) {
+    throw new Error(`Could not open ${path.basename(inputPath)}: ${err.message}`);
+  }
+}
+
+async function savePdf(doc, outputPath) {
+  const bytes = await doc.save();
+  await fsPromises.writeFile(outputPath, bytes);
+  return outputPath;
+}
+
+// Copy the given 1-based pages of source into a new document, in the given order
+async function copyPages(source, pages) {
+  const target = await PDFDocument.create();
+  const copied = await target.copyPages(source, pages.map(page => page - 1));
+  copied.forEach(page => target.addPage(page));
+  return target;
+}
+
+async function mergePdfs(inputPaths, outputPath) {
+  const merged = await PDFDocument.create();
+  for (const inputPath of inputPaths) {
+    const source = await loadPdf(inputPath);
+    const copied = await merged.copyPages(source, source.getPageIndices());
+    copied.forEach(page => merged.addPage(page));
+  }
+  return savePdf(merged, outputPath);
+}
+
+// Write one PDF per range into outputDir and return their paths
+async function splitPdf(inputPath, outputDir, ranges) {
+  const source = await loadPdf(inputPath);
+  const pageCount = source.getPageCount();
+  const selections = ranges && ranges.length > 0
+    ? ranges.map(range => parsePageRanges(range, pageCount, { keepOrder: true }))
+    : source.getPageIndices().map(index => [index + 1]);
+  const outputPaths = [];
+  for (const [index, pages] of selections.entries()) {
+    const part = await copyPages(source, pages);
+    const label = pages.length === 1 ? `page-${pages[0]}` : `pages-${pages[0]}-${pages[pages.length - 1]}`;
+    const name = `${String(index + 1).padStart(3, '0')}_${label}.pdf`;
+    outputPaths.push(await savePdf(part, path.join(outputDir, name)));
+  }
+  return outputPaths;
+}
+
+async function rotatePages(inputPath, outputPath, { pages, angle }) {
+  const doc = await loadPdf(inputPath);
+  for (const page of parsePageRanges(pages, doc.getPageCount())) {
+    const pdfPage = doc.getPage(page - 1);
+    pdfPage.setRotation(degrees((pdfPage.getRotation().angle + angle) % 360));
+  }
+  return savePdf(doc, outputPath);
+}
+
+async function deletePages(inputPath, outputPath, { pages }) {
+  const source = await loadPdf(inputPath);
+  const removed = new Set(parsePageRanges(pages, source.getPageCount()));
+  const kept = source.getPageIndices().map(index => index + 1).filter(page => !removed.has(page));
+  if (kept.length === 0) {
+    throw new Error('Cannot delete every page of the document.');
+  }
+  return savePdf(await copyPages(source, kept), outputPath);
+}
+
+// Reorder pages; pages left out of the order are dropped, repeated pages are duplicated
+async function reorderPages(inputPath, outputPath, { order }) {
+  const source = await loadPdf(inputPath);
+  const pages = parsePageRanges(order, source.getPageCount(), { keepOrder: true });
+  return savePdf(await copyPages(source, pages), outputPath);
+}
+
+async function extractPages(inputPath, outputPath, { pages }) {
+  const source = await loadPdf(inputPath);
+  return savePdf(await copyPages(source, parsePageRanges(pages, source.getPageCount())), outputPath);
+}
+
+module.exports = {
+  parsePageRanges,
+  checkPageRanges,
+  mergePdfs,
+  splitPdf,
+  rotatePages,
+  deletePages,
+  reorderPages,
+  extractPages,
+};
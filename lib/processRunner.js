@@ -0,0 +1,154 @@
+const { spawn } = require('child_process');
+
+const DEFAULT_MAX_BUFFER = 10 * 1024 * 1024;
+const STDERR_EXCERPT_LENGTH = 2000;
+
+// Errors carry a code, the command line and a stderr excerpt so callers can report them
+function createProcessError(code, message, details = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, details);
+  return err;
+}
+
+function lastLine(text) {
+  const lines = text.trim().split('\n').filter(Boolean);
+  return lines.length > 0 ? lines[lines.length - 1].trim() : '';
+}
+
+function excerpt(text) {
+  const trimmed = text.trim();
+  return trimmed.length > STDERR_EXCERPT_LENGTH ? `...${trimmed.slice(-STDERR_EXCERPT_LENGTH)}` : trimmed;
+}
+
+// Spawn an external tool without a shell and collect its output.
+// Resolves with { stdout, stderr, exitCode }; rejects with a process error or the abort reason.
+// With keepStdout false, stdout still counts against maxBuffer but is dropped, to measure a stream.
+function runProcess(command, args = [], {
+  signal,
+  timeout = 0,
+  maxBuffer = DEFAULT_MAX_BUFFER,
+  cwd,
+  env,
+  input,
+  keepStdout = true,
+  onStdout,
+  onStderr,
+} = {}) {
+  const commandLine = [command, ...args].join(' ');
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+
+    let settled = false;
+    let stdout = '';
+    let stderr = '';
+    let bufferedBytes = 0;
+    let timeoutId = null;
+
+    const child = spawn(command, args, {
+      cwd,
+      env: env ? { ...process.env, ...env } : process.env,
+      shell: false,
+      windowsHide: true,
+    });
+
+    const settle = (err, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const kill = () => {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGKILL');
+      }
+    };
+
+    function onAbort() {
+      kill();
+      settle(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    if (timeout > 0) {
+      timeoutId = setTimeout(() => {
+        kill();
+        settle(createProcessError('PROCESS_TIMEOUT', `${command} timed out after ${timeout}ms`, {
+          command: commandLine,
+          stderr: excerpt(stderr),
+        }));
+      }, timeout);
+    }
+
+    const collect = (stream, chunk) => {
+      bufferedBytes += chunk.length;
+      if (bufferedBytes > maxBuffer) {
+        kill();
+        settle(createProcessError('PROCESS_OUTPUT_LIMIT', `${command} exceeded the ${maxBuffer} byte output limit`, {
+          command: commandLine,
+          stderr: excerpt(stderr),
+        }));
+        return;
+      }
+      if (stream === 'stdout' && !keepStdout) {
+        return;
+      }
+      const text = chunk.toString();
+      if (stream === 'stdout') {
+        stdout += text;
+        onStdout?.(text);
+      } else {
+        stderr += text;
+        onStderr?.(text);
+      }
+    };
+    child.stdout.on('data', chunk => collect('stdout', chunk));
+    child.stderr.on('data', chunk => collect('stderr', chunk));
+
+    child.on('error', (err) => {
+      if (err.code === 'ENOENT') {
+        settle(createProcessError('PROCESS_NOT_FOUND', `${command} is not installed or not on PATH`, {
+          command: commandLine,
+        }));
+      } else {
+        settle(createProcessError('PROCESS_FAILED', `${command} could not be started: ${err.message}`, {
+          command: commandLine,
+        }));
+      }
+    });
+
+    child.on('close', (exitCode, killSignal) => {
+      if (exitCode === 0) {
+        settle(null, { stdout, stderr, exitCode });
+      } else {
+        const reason = exitCode === null ? `was killed by ${killSignal}` : `exited with code ${exitCode}`;
+        const detail = lastLine(stderr) || lastLine(stdout);
+        settle(createProcessError('PROCESS_FAILED', `${command} ${reason}${detail ? `: ${detail}` : ''}`, {
+          command: commandLine,
+          exitCode,
+          stderr: excerpt(stderr),
+        }));
+      }
+    });
+
+    // A tool may exit or be killed before reading its input; its exit status is what gets reported
+    child.stdin.on('error', () => {});
+    if (input !== undefined) {
+      child.stdin.end(input);
+    } else {
+      child.stdin.end();
+    }
+  });
+}
+
+module.exports = { runProcess, createProcessError, excerpt };
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { cleanupFiles } = require('./cleanup');
+const { logger } = require('./logger');
+
+const idPattern = /^[a-f0-9]{32}$/;
+const sha256Pattern = /^[a-f0-9]{64}$/;
+
+function createUploadError(message, status, code) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+// "sha256:<hex>" or a bare hex digest
+function parseChecksum(value) {
+  const digest = String(value || '').trim().toLowerCase().replace(/^sha-?256[:=]/, '');
+  return sha256Pattern.test(digest) ? digest : null;
+}
+
+// Resumable uploads: a session is created with the file's name and size, chunks are appended in order
+// with PUT at the current offset, each carrying its SHA-256, and the finished file is then claimed by
+// a conversion request through its upload ID. Sessions live in memory; their data in dir.
+function createUploadSessions({ dir, maxBytes, chunkBytes, idleTimeout }) {
+  const sessions = new Map();
+  const startedAt = Date.now();
+
+  function toJSON(session) {
+    return {
+      uploadId: session.id,
+      name: session.name,
+      size: session.size,
+      offset: session.offset,
+      complete: session.complete,
+      chunkSize: chunkBytes,
+      expiresAt: new Date(session.touchedAt + idleTimeout).toISOString(),
+    };
+  }
+
+  function get(id) {
+    const session = idPattern.test(String(id)) ? sessions.get(id) : null;
+    if (!session) {
+      throw createUploadError('Upload not found or expired.', 404, 'UPLOAD_NOT_FOUND');
+    }
+    return session;
+  }
+
+  // Start a session; the name's extension is checked by the caller
+  async function create({ name, size, sha256 }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+      throw createUploadError('"name" must be the file name, up to 255 characters.', 400, 'INVALID_UPLOAD');
+    }
+    if (!Number.isInteger(size) || size < 1 || size > maxBytes) {
+      throw createUploadError(`"size" must be a byte count from 1 to ${maxBytes}.`, 400, 'INVALID_UPLOAD');
+    }
+    if (sha256 !== undefined && !parseChecksum(sha256)) {
+      throw createUploadError('"sha256" must be a hex SHA-256 digest of the whole file.', 400, 'INVALID_UPLOAD');
+    }
+    await fsPromises.mkdir(dir, { recursive: true });
+    const id = crypto.randomBytes(16).toString('hex');
+    const session = {
+      id,
+      name: name.trim(),
+      size,
+      sha256: sha256 === undefined ? null : parseChecksum(sha256),
+      path: path.join(dir, id),
+      offset: 0,
+      hash: crypto.createHash('sha256'),
+      complete: false,
+      busy: false,
+      touchedAt: Date.now(),
+    };
+    await fsPromises.writeFile(session.path, '');
+    sessions.set(id, session);
+    logger.info(`Upload ${id} started: ${session.name} (${size} bytes)`);
+    return toJSON(session);
+  }
+
+  // Append one chunk. It must start at the session's current offset, so a client that lost a response
+  // asks for the offset and resends from there; a chunk whose checksum does not match is discarded.
+  async function appendChunk(id, { offset, checksum, data }) {
+    const session = get(id);
+    if (session.complete) {
+      throw createUploadError('Upload is already complete.', 409, 'UPLOAD_COMPLETE');
+    }
+    if (session.busy) {
+      throw createUploadError('Another chunk for this upload is still being written.', 409, 'UPLOAD_BUSY');
+    }
+    if (Number(offset) !== session.offset) {
+      const err = createUploadError(`Chunk offset ${offset} does not match the upload offset ${session.offset}.`, 409, 'UPLOAD_OFFSET_MISMATCH');
+      err.offset = session.offset;
+      throw err;
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw createUploadError('Chunk is empty.', 400, 'INVALID_CHUNK');
+    }
+    if (session.offset + data.length > session.size) {
+      throw createUploadError(`Chunk runs past the declared size of ${session.size} bytes.`, 400, 'INVALID_CHUNK');
+    }
+    const expected = parseChecksum(checksum);
+    if (!expected) {
+      throw createUploadError('X-Chunk-Checksum must be "sha256:<hex digest>" of the chunk.', 400, 'INVALID_CHUNK');
+    }
+    if (crypto.createHash('sha256').update(data).digest('hex') !== expected) {
+      throw createUploadError('Chunk checksum does not match; resend the chunk.', 422, 'CHUNK_CHECKSUM_MISMATCH');
+    }
+    session.busy = true;
+    try {
+      await fsPromises.appendFile(session.path, data);
+      session.hash.update(data);
+      session.offset += data.length;
+      session.touchedAt = Date.now();
+    } catch (err) {
+      // Cut off whatever part of the chunk made it to disk so the offset stays true
+      await fsPromises.truncate(session.path, session.offset).catch(() => {});
+      throw err;
+    } finally {
+      session.busy = false;
+    }
+    return toJSON(session);
+  }
+
+  // Finish a session once every byte has arrived, checking the whole-file digest if one was declared
+  async function complete(id) {
+    const session = get(id);
+    if (session.complete) {
+      return toJSON(session);
+    }
+    if (session.offset !== session.size) {
+      throw createUploadError(`Upload has ${session.offset} of ${session.size} bytes.`, 409, 'UPLOAD_INCOMPLETE');
+    }
+    const digest = session.hash.digest('hex');
+    if (session.sha256 && digest !== session.sha256) {
+      await remove(id);
+      throw createUploadError('File checksum does not match; the upload was discarded.', 422, 'UPLOAD_CHECKSUM_MISMATCH');
+    }
+    session.complete = true;
+    session.touchedAt = Date.now();
+    logger.info(`Upload ${id} complete: ${session.name}`);
+    return { ...toJSON(session), sha256: digest };
+  }
+
+  // Hand completed uploads to a conversion, in the shape multer gives uploaded files. Either every ID is
+  // claimed or none is, so a bad ID does not cost the others; the caller then owns and removes the files.
+  function claim(ids) {
+    if (new Set(ids).size !== ids.length) {
+      throw createUploadError('The same upload ID is listed more than once.', 400, 'INVALID_UPLOAD');
+    }
+    const claimed = ids.map(get);
+    const unfinished = claimed.find(session => !session.complete);
+    if (unfinished) {
+      throw createUploadError(`Upload ${unfinished.id} is not complete.`, 409, 'UPLOAD_INCOMPLETE');
+    }
+    return claimed.map((session) => {
+      sessions.delete(session.id);
+      return { path: session.path, originalname: session.name, filename: session.id, size: session.size };
+    });
+  }
+
+  async function remove(id) {
+    const session = get(id);
+    sessions.delete(id);
+    await cleanupFiles([session.path]);
+  }
+
+  // Remove sessions idle for longer than idleTimeout, and files from before a restart, whose sessions are gone
+  async function sweep(now = Date.now()) {
+    for (const session of [...sessions.values()]) {
+      if (!session.busy && now - session.touchedAt > idleTimeout) {
+        logger.info(`Upload ${session.id} abandoned after ${Math.round((now - session.touchedAt) / 1000)}s`);
+        sessions.delete(session.id);
+        await cleanupFiles([session.path]);
+      }
+    }
+    const names = await fsPromises.readdir(dir).catch(() => []);
+    for (const name of names) {
+      if (sessions.has(name)) {
+        continue;
+      }
+      const filePath = path.join(dir, name);
+      const stats = await fsPromises.stat(filePath).catch(() => null);
+      if (stats?.isFile() && stats.mtimeMs < startedAt) {
+        await cleanupFiles([filePath]);
+      }
+    }
+  }
+
+  return { create, get, toJSON, appendChunk, complete, claim, remove, sweep };
+}
+
+module.exports = { createUploadSessions };
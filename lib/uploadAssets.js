@@ -0,0 +1,74 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { checkContentType } = require('./contentType');
+
+// Images sent alongside the input files, for options that take one: an ebook cover or a watermark.
+// multer caps text fields at 1 MB, so larger images cannot be inlined as data URLs in the JSON options.
+const MAX_ASSET_BYTES = 5 * 1024 * 1024;
+const MAX_ASSETS = 5;
+const assetFormats = ['png', 'jpg', 'jpeg', 'webp', 'svg'];
+// Option keys whose value may be "asset:<uploaded file name>" instead of a data URL, and the formats each takes
+const assetOptionFormats = {
+  cover: ['png', 'jpg', 'jpeg'],
+  image: assetFormats,
+};
+const ASSET_PREFIX = 'asset:';
+
+function createAssetError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'INVALID_ASSET';
+  err.status = status;
+  return err;
+}
+
+// Read an uploaded asset as { ext, dataUrl }; the content has to match the extension
+async function readAsDataUrl(file) {
+  if (file.size > MAX_ASSET_BYTES) {
+    throw createAssetError(`Asset ${file.originalname} is over the ${MAX_ASSET_BYTES / 1024 / 1024} MB limit.`, 413);
+  }
+  const { ext, mime } = await checkContentType(file.path, path.extname(file.originalname).toLowerCase().slice(1), {
+    name: file.originalname,
+  });
+  const data = await fsPromises.readFile(file.path);
+  return { ext, dataUrl: `data:${mime};base64,${data.toString('base64')}` };
+}
+
+// Replace asset references in options, including inside lists such as image operations, with the
+// uploaded images as data URLs, so they are validated exactly like inlined ones
+async function inlineAssets(options, assets = []) {
+  const byName = new Map(assets.map(file => [file.originalname, file]));
+  const loaded = new Map();
+  const load = async (key, name) => {
+    const file = byName.get(name);
+    if (!file) {
+      const uploaded = [...byName.keys()];
+      throw createAssetError(`No asset named "${name}" was uploaded${uploaded.length > 0 ? `; assets: ${uploaded.join(', ')}` : ''}.`);
+    }
+    if (!loaded.has(name)) {
+      loaded.set(name, readAsDataUrl(file));
+    }
+    const { ext, dataUrl } = await loaded.get(name);
+    if (!assetOptionFormats[key].includes(ext)) {
+      throw createAssetError(`Asset ${name} is ${ext}; "${key}" takes ${assetOptionFormats[key].join(', ')} images.`);
+    }
+    return dataUrl;
+  };
+  const walk = async (value) => {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(walk));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    const entries = await Promise.all(Object.entries(value).map(async ([key, item]) => {
+      if (Object.hasOwn(assetOptionFormats, key) && typeof item === 'string' && item.startsWith(ASSET_PREFIX)) {
+        return [key, await load(key, item.slice(ASSET_PREFIX.length))];
+      }
+      return [key, await walk(item)];
+    }));
+    return Object.fromEntries(entries);
+  };
+  return walk(options);
+}
+
+module.exports = { MAX_ASSETS, assetFormats, inlineAssets };
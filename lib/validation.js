@@ -0,0 +1,49 @@
+const fsPromises = require('fs').promises;
+const pdfParse = require('./pdfParse');
+const { detectFileType } = require('./contentType');
+const { logger } = require('./logger');
+
+const supportedImageToPdfFormats = ['jpg', 'jpeg', 'png'];
+// Merged PDFs also accept formats that are normalised to PNG first
+const mergeableImageFormats = [...supportedImageToPdfFormats, 'webp', 'tiff', 'gif', 'bmp'];
+
+// Validation functions
+async function validateImage(inputPath, allowedFormats = supportedImageToPdfFormats) {
+  try {
+    const type = await detectFileType(inputPath);
+    if (!type || !allowedFormats.includes(type.ext.toLowerCase())) {
+      throw new Error(`Invalid or unsupported image format: ${type ? type.ext : 'unknown'}. Supported formats: ${allowedFormats.join(', ')}`);
+    }
+    logger.info(`Image validation successful for ${inputPath}: ${type.ext}`);
+    return true;
+  } catch (err) {
+    logger.error(`Image validation failed for ${inputPath}: ${err.message}`);
+    return false;
+  }
+}
+
+async function validatePDF(inputPath) {
+  try {
+    const dataBuffer = await fsPromises.readFile(inputPath);
+    await pdfParse(dataBuffer);
+    logger.info(`PDF validation successful for ${inputPath}`);
+    return true;
+  } catch (err) {
+    logger.error(`PDF validation failed for ${inputPath}: ${err.message}`);
+    return false;
+  }
+}
+
+async function getPdfPageCount(inputPath) {
+  const dataBuffer = await fsPromises.readFile(inputPath);
+  const data = await pdfParse(dataBuffer);
+  return data.numpages;
+}
+
+module.exports = {
+  supportedImageToPdfFormats,
+  mergeableImageFormats,
+  validateImage,
+  validatePDF,
+  getPdfPageCount,
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { logger } = require('./logger');
+
+const maxUrlLength = 2048;
+// Kept in the delivery log from the receiver's reply
+const maxResponseExcerpt = 500;
+
+function createWebhookError(message, status, code) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((total, part) => total * 256 + Number(part), 0);
+}
+
+const privateIPv4Ranges = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].map(([base, bits]) => [ipv4ToNumber(base), 2 ** (32 - bits)]);
+
+// Loopback, private, link-local, multicast and reserved addresses, which a callback must not reach
+// unless private targets are allowed
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToNumber(address);
+    return privateIPv4Ranges.some(([base, size]) => value >= base && value < base + size);
+  }
+  const lower = address.toLowerCase();
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+}
+
+// Signature header for a body sent at unix time t: "t=<t>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+// Receivers recompute it with the shared secret and should reject old timestamps to stop replays.
+function signPayload(secret, body, timestamp) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Callbacks for finished jobs: the payload is POSTed as signed JSON to the caller's URL and retried with
+// exponential backoff until the receiver answers 2xx or the attempts run out. Each job's deliveries and
+// attempts are kept in memory as its delivery log. Without a secret callbacks are refused, since receivers
+// could not verify them.
+function createWebhooks({ secret, maxAttempts = 5, retryDelay = 10000, maxRetryDelay = 15 * 60 * 1000, timeout = 10000, allowPrivate = false, retention = 60 * 60 * 1000 }) {
+  const deliveries = new Map();
+
+  // Parse and check a callback URL given with a request; throws 400 INVALID_CALLBACK_URL, or 503 when
+  // no signing secret is configured
+  function validateUrl(value) {
+    if (!secret) {
+      throw createWebhookError('Callbacks are not available: the server has no WEBHOOK_SECRET to sign them with.', 503, 'CALLBACKS_UNAVAILABLE');
+    }
+    let url;
+    try {
+      url = new URL(String(value));
+    } catch {
+      throw createWebhookError('"callbackUrl" must be an absolute http or https URL.', 400, 'INVALID_CALLBACK_URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || String(value).length > maxUrlLength) {
+      throw createWebhookError('"callbackUrl" must be an absolute http or https URL.', 400, 'INVALID_CALLBACK_URL');
+    }
+    if (url.username || url.password) {
+      throw createWebhookError('"callbackUrl" must not contain credentials.', 400, 'INVALID_CALLBACK_URL');
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && ((net.isIP(host) && isPrivateAddress(host)) || /^localhost$|\.localhost$/i.test(host))) {
+      throw createWebhookError('"callbackUrl" must not point at a private or loopback address.', 400, 'INVALID_CALLBACK_URL');
+    }
+    url.hash = '';
+    return url.toString();
+  }
+
+  // dns.lookup that refuses private addresses, used at connect time so a name cannot be re-pointed
+  // at an internal host after the URL was accepted
+  function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err) {
+        return callback(err);
+      }
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      if (!allowPrivate && addresses.some(isPrivateAddress)) {
+        return callback(createWebhookError(`${hostname} resolves to a private address.`, 400, 'CALLBACK_ADDRESS_REFUSED'));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  // One POST; resolves with { statusCode, body } for any HTTP answer and rejects on network errors.
+  // Redirects are not followed.
+  function post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const host = target.hostname.replace(/^\[|\]$/g, '');
+      if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) {
+        return reject(createWebhookError(`${host} is a private address.`, 400, 'CALLBACK_ADDRESS_REFUSED'));
+      }
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+        lookup: guardedLookup,
+        timeout,
+      }, (response) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          if (text.length < maxResponseExcerpt) {
+            text += chunk;
+          }
+        });
+        response.on('end', () => resolve({ statusCode: response.statusCode, body: text.slice(0, maxResponseExcerpt) }));
+        response.on('error', reject);
+      });
+      request.on('timeout', () => request.destroy(createWebhookError(`No response within ${timeout}ms.`, 504, 'CALLBACK_TIMEOUT')));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  function toJSON(delivery) {
+    return {
+      id: delivery.id,
+      url: delivery.url,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      maxAttempts,
+      nextAttemptAt: delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).toISOString() : null,
+    };
+  }
+
+  async function attempt(delivery) {
+    const number = delivery.attempts.length + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const entry = { attempt: number, at: new Date(started).toISOString() };
+    delivery.nextAttemptAt = null;
+    try {
+      const { statusCode, body: reply } = await post(delivery.url, body, {
+        'User-Agent': 'File-Converter-Webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Attempt': String(number),
+        'X-Webhook-Signature': signPayload(secret, body, timestamp),
+        ...(delivery.requestId ? { 'X-Request-Id': delivery.requestId } : {}),
+      });
+      entry.statusCode = statusCode;
+      if (reply) {
+        entry.response = reply;
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        entry.error = `Receiver answered ${statusCode}`;
+      }
+    } catch (err) {
+      entry.error = err.message;
+      if (err.code) {
+        entry.code = err.code;
+      }
+    }
+    entry.durationMs = Date.now() - started;
+    delivery.attempts.push(entry);
+
+    if (!entry.error) {
+      delivery.status = 'delivered';
+      delivery.finishedAt = Date.now();
+      logger.info(`Callback ${delivery.id} for job ${delivery.jobId} delivered on attempt ${number}`, { statusCode: entry.statusCode });
+      return;
+    }
+    // Refused addresses will be refused again, so they are not retried
+    if (number >= maxAttempts || entry.code === 'CALLBACK_ADDRESS_REFUSED') {
+      delivery.status = 'failed';
+      delivery.finishedAt = Date.now();
+      logger.warn(`Callback ${delivery.id} for job ${delivery.jobId} failed after ${number} attempt(s): ${entry.error}`);
+      return;
+    }
+    // 10s, 20s, 40s, ... with up to 10% jitter so retries from many jobs do not line up
+    const delay = Math.min(retryDelay * 2 ** (number - 1), maxRetryDelay) * (1 + Math.random() * 0.1);
+    delivery.nextAttemptAt = Date.now() + delay;
+    logger.warn(`Callback ${delivery.id} for job ${delivery.jobId} attempt ${number} failed: ${entry.error}; retrying in ${Math.round(delay / 1000)}s`);
+    setTimeout(() => attempt(delivery), delay).unref();
+  }
+
+  // Note the callback for a job when it is submitted; it shows as "waiting" until the job finishes
+  function register({ jobId, requestId = null, url }) {
+    deliveries.set(jobId, {
+      id: crypto.randomBytes(12).toString('hex'),
+      jobId,
+      requestId,
+      url,
+      event: null,
+      payload: null,
+      status: 'waiting',
+      attempts: [],
+      nextAttemptAt: null,
+      finishedAt: null,
+    });
+  }
+
+  // Send a registered job's callback now that it has finished; the first attempt is made straight away
+  function deliver(jobId, { event, payload }) {
+    const delivery = deliveries.get(jobId);
+    if (!delivery || delivery.status !== 'waiting') {
+      return;
+    }
+    delivery.event = event;
+    delivery.payload = payload;
+    delivery.status = 'pending';
+    attempt(delivery);
+  }
+
+  // The delivery log of a job's callback, or null if it has none (yet)
+  function status(jobId) {
+    const delivery = deliveries.get(jobId);
+    return delivery ? toJSON(delivery) : null;
+  }
+
+  // Forget deliveries that finished longer ago than the retention window
+  function prune(now = Date.now()) {
+    for (const [jobId, delivery] of deliveries) {
+      if (delivery.finishedAt && now - delivery.finishedAt > retention) {
+        deliveries.delete(jobId);
+      }
+    }
+  }
+
+  return { validateUrl, register, deliver, status, prune };
+}
+
+module.exports = { createWebhooks, signPayload, isPrivateAddress };
@@ -2,120 +2,121 @@ require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
 const fsPromises = fs.promises;
 const path = require('path');
 const cors = require('cors');
 const tmp = require('tmp');
-const { FileConverter } = require('multi-format-converter');
-const imgToPDFModule = require('image-to-pdf');
-const { exec } = require('child_process');
-const util = require('util');
-const { fileTypeFromBuffer } = require('file-type');
-const ffmpeg = require('fluent-ffmpeg');
-const sharp = require('sharp');
-const { fromPath } = require('pdf2pic');
-const sevenZip = require('node-7z');
-
-const execPromise = util.promisify(exec);
-
-// Determine the correct imgToPDF function
-let imgToPDF = imgToPDFModule;
-if (typeof imgToPDFModule !== 'function' && imgToPDFModule.default && typeof imgToPDFModule.default === 'function') {
-  console.log('Using imgToPDFModule.default as imgToPDF function');
-  imgToPDF = imgToPDFModule.default;
-}
-
-// Patch pdf-parse to handle ENOENT error
-let pdfParse;
-try {
-  pdfParse = require('pdf-parse');
-} catch (err) {
-  console.warn('pdf-parse initialization failed:', err.message);
-  pdfParse = { renderPage: () => Promise.resolve(Buffer.from('')) };
-}
+const { AsyncResource } = require('async_hooks');
+const { createJobQueue } = require('./lib/jobQueue');
+const { createDownloadLinks, createDownloadHandler } = require('./lib/downloadLinks');
+const { createFileStore } = require('./lib/fileStore');
+const { createUploadSessions } = require('./lib/resumableUploads');
+const { createAccessControl, loadApiKeys } = require('./lib/accessControl');
+const { runProcess } = require('./lib/processRunner');
+const pdfTools = require('./lib/pdfTools');
+const { createConversionTimeoutError, throwIfAborted, raceAbort } = require('./lib/abort');
+const { cleanupFiles } = require('./lib/cleanup');
+const { binaries, modules, checkDependencies, findMissing, getDependencyReport } = require('./lib/dependencies');
+const { getFileConverter } = require('./lib/fileConverter');
+const { checkContentType } = require('./lib/contentType');
+const { inspectFile, inspectorFor } = require('./lib/inspect');
+const archive = require('./lib/archive');
+const ebookMetadata = require('./lib/ebookMetadata');
+const { validateOptions } = require('./lib/optionSchema');
+const { mergeableImageFormats, validatePDF } = require('./lib/validation');
+const registry = require('./lib/converters');
+const { mergeImagesToPDF, normalizeImagesToPdfOptions } = require('./lib/converters/image');
+const { logger, withLogContext } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { createWebhooks } = require('./lib/webhooks');
+const uploadAssets = require('./lib/uploadAssets');
+
+const { checkPageRanges } = pdfTools;
 
 const app = express();
 const port = process.env.PORT || 5001;
 const conversionTimeout = parseInt(process.env.CONVERSION_TIMEOUT) || 120000;
+const conversionConcurrency = parseInt(process.env.CONVERSION_CONCURRENCY) || 2;
+const downloadTtl = parseInt(process.env.DOWNLOAD_TTL) || 60 * 60;
+const downloadMaxUses = parseInt(process.env.DOWNLOAD_MAX_USES) || 0;
+// Converted files older than this are removed by the periodic cleanup
+const convertedFileMaxAge = Math.max(24 * 60 * 60, downloadTtl) * 1000;
+// Resumable uploads: total size, largest chunk, and how long a session may sit idle before it is discarded
+const resumableUploadMaxBytes = parseInt(process.env.RESUMABLE_UPLOAD_MAX_BYTES) || 1024 * 1024 * 1024;
+const resumableChunkBytes = parseInt(process.env.RESUMABLE_CHUNK_BYTES) || 8 * 1024 * 1024;
+const resumableUploadTtl = (parseInt(process.env.RESUMABLE_UPLOAD_TTL) || 60 * 60) * 1000;
+// Conversion callbacks: attempts per callback, the first retry delay in seconds (doubling each time) and the per-attempt timeout
+const webhookMaxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const webhookRetryDelay = (parseInt(process.env.WEBHOOK_RETRY_DELAY) || 10) * 1000;
+const webhookTimeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
 
-// Check for dependencies
-async function checkDependencies() {
-  const checks = [
-    { name: 'GraphicsMagick', command: 'gm version' },
-    { name: 'ImageMagick', command: 'convert -version' },
-    { name: 'poppler-utils', command: 'pdftoppm -v' },
-    { name: 'libvips', command: 'vips --version' },
-    { name: 'ffmpeg', command: 'ffmpeg -version' },
-    { name: 'calibre', command: 'ebook-convert --version' },
-  ];
-  const results = {};
-
-  for (const { name, command } of checks) {
-    try {
-      const { stdout } = await execPromise(command);
-      console.log(`${name} is installed and available: ${stdout.trim()}`);
-      results[name] = true;
-    } catch (err) {
-      console.warn(`${name} not found: ${err.message}`);
-      results[name] = false;
-    }
-  }
-
-  // Check module dependencies
-  const modules = [
-    { name: 'file-type', module: 'file-type' },
-    { name: 'image-to-pdf', module: 'image-to-pdf' },
-    { name: 'fluent-ffmpeg', module: 'fluent-ffmpeg' },
-    { name: 'sharp', module: 'sharp' },
-    { name: 'pdf2pic', module: 'pdf2pic' },
-    { name: 'node-7z', module: 'node-7z' },
-    { name: 'multi-format-converter', module: 'multi-format-converter' },
-  ];
-
-  for (const { name, module } of modules) {
-    try {
-      require(module);
-      console.log(`${name} module is installed and available`);
-      results[name] = true;
-    } catch (err) {
-      console.warn(`${name} module not found: ${err.message}`);
-      results[name] = false;
-    }
+// A limit from the environment; unset uses the default and 0 turns the limit off
+function envLimit(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  if (Number.isNaN(value)) {
+    return defaultValue;
   }
+  return value > 0 ? value : null;
+}
+// Callers without an API key are limited per IP; keys get their limits from the key config
+const anonymousLimits = {
+  requestsPerMinute: envLimit('RATE_LIMIT_PER_MINUTE', 30),
+  dailyBytes: envLimit('ANON_DAILY_BYTES', 2 * 1024 * 1024 * 1024),
+  dailyMinutes: envLimit('ANON_DAILY_MINUTES', 60),
+};
+const keyRequestsPerMinute = envLimit('KEY_RATE_LIMIT_PER_MINUTE', 120);
 
-  return results;
+// Check every dependency a converter declares; re-run periodically so /health/ready tracks installs and removals
+let dependenciesChecked = false;
+async function refreshDependencies() {
+  // ffprobe and exif-reader back /api/inspect; GraphicsMagick and libvips are not required but are still reported
+  const dependencies = await checkDependencies(
+    [...registry.requiredBinaries(), binaries.ffprobe, binaries.GraphicsMagick, binaries.libvips],
+    [...registry.requiredModules(), modules.exifReader]
+  );
+  for (const converter of registry.listConverters()) {
+    for (const { name } of [...converter.binaries, ...converter.modules]) {
+      if (!dependencies[name]) {
+        logger.error(`Critical: ${name} is not installed. ${converter.type} conversions will fail.`);
+      }
+    }
+  }
+  dependenciesChecked = true;
 }
 
 // Log environment variables and dependency status
 (async () => {
-  console.log('Environment variables:', {
+  logger.info('Environment variables:', {
     PORT: process.env.PORT,
     FRONTEND_URL: process.env.FRONTEND_URL,
     CONVERSION_TIMEOUT: process.env.CONVERSION_TIMEOUT,
+    CONVERSION_CONCURRENCY: process.env.CONVERSION_CONCURRENCY,
     NODE_ENV: process.env.NODE_ENV,
+    DOWNLOAD_SECRET: process.env.DOWNLOAD_SECRET ? 'set' : 'not set',
+    DOWNLOAD_TTL: process.env.DOWNLOAD_TTL,
+    DOWNLOAD_MAX_USES: process.env.DOWNLOAD_MAX_USES,
+    RESUMABLE_UPLOAD_MAX_BYTES: process.env.RESUMABLE_UPLOAD_MAX_BYTES,
+    RESUMABLE_CHUNK_BYTES: process.env.RESUMABLE_CHUNK_BYTES,
+    RESUMABLE_UPLOAD_TTL: process.env.RESUMABLE_UPLOAD_TTL,
+    API_KEYS_FILE: process.env.API_KEYS_FILE,
+    API_KEYS: process.env.API_KEYS ? 'set' : 'not set',
+    API_KEYS_REQUIRED: process.env.API_KEYS_REQUIRED,
+    RATE_LIMIT_PER_MINUTE: process.env.RATE_LIMIT_PER_MINUTE,
+    KEY_RATE_LIMIT_PER_MINUTE: process.env.KEY_RATE_LIMIT_PER_MINUTE,
+    ANON_DAILY_BYTES: process.env.ANON_DAILY_BYTES,
+    ANON_DAILY_MINUTES: process.env.ANON_DAILY_MINUTES,
+    TRUST_PROXY: process.env.TRUST_PROXY,
+    LOG_LEVEL: process.env.LOG_LEVEL,
+    METRICS_TOKEN: process.env.METRICS_TOKEN ? 'set' : 'not set',
+    PUBLIC_URL: process.env.PUBLIC_URL,
+    WEBHOOK_SECRET: process.env.WEBHOOK_SECRET ? 'set' : 'not set',
+    WEBHOOK_MAX_ATTEMPTS: process.env.WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_DELAY: process.env.WEBHOOK_RETRY_DELAY,
+    WEBHOOK_TIMEOUT: process.env.WEBHOOK_TIMEOUT,
+    WEBHOOK_ALLOW_PRIVATE: process.env.WEBHOOK_ALLOW_PRIVATE,
   });
-  const dependencies = await checkDependencies();
-  if (!dependencies['poppler-utils']) {
-    console.error('Critical: poppler-utils is not installed. PDF to image conversions will fail.');
-  }
-  if (!dependencies['ImageMagick']) {
-    console.error('Critical: ImageMagick is not installed. GIF conversions will fail.');
-  }
-  if (!dependencies['file-type']) {
-    console.error('Critical: file-type module is not installed. Image validation will fail.');
-  }
-  if (!dependencies['image-to-pdf']) {
-    console.error('Critical: image-to-pdf module is not installed. Image to PDF conversions will fail.');
-  }
-  if (!dependencies['libvips']) {
-    console.error('Critical: libvips is not installed. Image to PDF conversions may fail.');
-  }
-  if (!dependencies['ffmpeg']) {
-    console.error('Critical: ffmpeg is not installed. Audio/Video conversions will fail.');
-  }
-  if (!dependencies['calibre']) {
-    console.warn('Warning: calibre is not installed. Ebook conversions will fail.');
-  }
+  await refreshDependencies();
 })();
 
 // Configure CORS for live deployment
@@ -137,26 +138,72 @@ const corsOptions = {
     if (!origin || uniqueAllowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      console.error(`CORS request blocked from origin: ${origin}. Allowed origins: ${uniqueAllowedOrigins.join(', ')}`);
+      logger.error(`CORS request blocked from origin: ${origin}. Allowed origins: ${uniqueAllowedOrigins.join(', ')}`);
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Range', 'X-Delete-Token', 'X-Chunk-Checksum', 'X-API-Key', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: [
+    'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'X-Request-Id',
+    'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+  ],
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204,
 };
 
-app.use(cors(corsOptions));
-
-// Middleware to log incoming requests
+// Give every request an ID (or keep a well-formed one from the caller), return it in X-Request-Id and
+// run the rest of the request inside it, so every log line it causes, including its jobs', carries the ID
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url} from ${req.get('Origin') || 'unknown'}`);
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
   res.setHeader('X-Powered-By', 'File-Converter');
-  next();
+  withLogContext({ requestId }, () => {
+    logger.info(`${req.method} ${req.path}`, { method: req.method, path: req.path, origin: req.get('Origin') || null });
+    res.on('finish', () => {
+      logger.info(`${req.method} ${req.path} ${res.statusCode}`, {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+      });
+    });
+    next();
+  });
 });
 
+app.use(cors(corsOptions));
+
+// Behind a proxy (e.g. Render) req.ip is only the client's address when the proxy is trusted
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// CORS only binds browsers, so work is limited per API key, or per IP for callers without one.
+// A broken key config stops the server rather than leaving it open.
+let accessControl;
+try {
+  accessControl = createAccessControl({
+    keys: loadApiKeys(),
+    requireKey: process.env.API_KEYS_REQUIRED === 'true',
+    anonymous: anonymousLimits,
+    keyRequestsPerMinute,
+  });
+  logger.info(`API keys loaded: ${accessControl.keyCount}`);
+} catch (err) {
+  logger.error('Failed to load API keys:', err);
+  process.exit(1);
+}
+// Routes that queue conversion work: rate limited, and metered against the daily quotas
+const limitWork = accessControl.middleware({ rateLimited: true, metered: true });
+
+// Identify every API caller; keys are checked here even on routes without limits
+app.use('/api', accessControl.middleware());
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.status(200).json({
@@ -178,65 +225,116 @@ app.get('/api/test', (req, res) => {
 });
 
 // Initialize FileConverter
-let converter;
 try {
-  converter = new FileConverter({ pdfParse });
-  console.log('FileConverter initialized successfully');
+  getFileConverter();
+  logger.info('FileConverter initialized successfully');
 } catch (err) {
-  console.error('Failed to initialize FileConverter:', err.message, err.stack);
+  logger.error('Failed to initialize FileConverter:', err);
   process.exit(1);
 }
 
-// Supported formats
-const allFormats = [
-  'bmp', 'eps', 'gif', 'ico', 'png', 'svg', 'tga', 'tiff', 'wbmp', 'webp', 'jpg', 'jpeg',
-  'pdf', 'docx', 'txt', 'rtf', 'odt',
-  'mp3', 'wav', 'aac', 'flac', 'ogg', 'opus', 'wma',
-  'mp4', 'avi', 'mov', 'webm', 'mkv', 'flv', 'wmv',
-  'zip', '7z',
-  'epub', 'mobi', 'azw3',
-  'aac', 'aiff', 'm4v', 'mmf', 'wma', '3g2',
-];
+const maxMergeFiles = 20;
 
-const supportedFormats = {
-  image: ['bmp', 'eps', 'ico', 'svg', 'tga', 'wbmp', 'jpg', 'png', 'gif', 'tiff', 'webp', 'pdf'],
-  compressor: ['jpg', 'png', 'svg'],
-  pdfs: ['jpg', 'png', 'gif', 'docx'],
-  audio: ['mp3', 'wav', 'aac', 'flac', 'ogg', 'opus', 'wma', 'aiff', 'm4v', 'mmf', '3g2'],
-  video: ['mp4', 'avi', 'mov', 'webm', 'mkv', 'flv', 'wmv'],
-  document: ['docx', 'pdf'],
-  archive: ['zip', '7z'],
-  ebook: ['epub', 'mobi', 'azw3'],
-};
+// Body parsers finish from callbacks on the socket's async context, not the request's; binding their
+// next to the request keeps its ID on the log lines of everything that runs after them
+function keepRequestContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
 
-const supportedImageToPdfFormats = ['jpg', 'jpeg', 'png'];
-
-// Configure multer
-const upload = multer({
-  dest: 'uploads/',
-  limits: { fileSize: 100 * 1024 * 1024 }, // 100MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedExtensions = allFormats.map(ext => `.${ext.toLowerCase()}`);
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (allowedExtensions.includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(new Error(`Unsupported file type: ${ext}. Supported types: ${allFormats.join(', ')}`), false);
+const maxUploadBytes = 100 * 1024 * 1024;
+// Multer limits a client can run into; the rest of its errors are malformed or unexpected parts
+const uploadLimitCodes = ['LIMIT_FILE_SIZE', 'LIMIT_FIELD_VALUE', 'LIMIT_PART_COUNT', 'LIMIT_FILE_COUNT', 'LIMIT_FIELD_COUNT'];
+
+// Give a multer error the status and detail the error handler reports to the client
+function describeUploadError(err) {
+  err.status = uploadLimitCodes.includes(err.code) ? 413 : 400;
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    err.message = `File too large: uploads are limited to ${maxUploadBytes / (1024 * 1024)}MB.`;
+  } else if (err.field) {
+    err.message = `${err.message}: "${err.field}".`;
+  }
+  return err;
+}
+
+// The daily byte quota again, now that the upload's size is known. Files of a refused upload are
+// removed here, since the route that would clean them up never runs.
+const uploadQuota = accessControl.uploadQuota();
+function checkUploadQuota(req, res, next) {
+  uploadQuota(req, res, async (err) => {
+    if (err) {
+      const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+      await cleanupFiles([...files, ...(req.assets || [])].map(file => file.path));
     }
-  },
-});
+    next(err);
+  });
+}
+
+// Run a body parser, then checkUploadQuota
+function thenCheckQuota(middleware) {
+  return (req, res, next) => middleware(req, res, err => (err ? next(err) : checkUploadQuota(req, res, next)));
+}
+
+// Configure multer; getInputFormats lists the extensions a route accepts
+function createUpload(getInputFormats) {
+  const instance = multer({
+    dest: 'uploads/',
+    limits: { fileSize: maxUploadBytes },
+    fileFilter: (req, file, cb) => {
+      // busboy reads the multipart filename as latin1, while browsers send UTF-8
+      const utf8Name = Buffer.from(file.originalname, 'latin1').toString('utf8');
+      if (!utf8Name.includes('�')) {
+        file.originalname = utf8Name;
+      }
+      const inputFormats = file.fieldname === 'assets' ? uploadAssets.assetFormats : getInputFormats();
+      const ext = path.extname(file.originalname).toLowerCase();
+      if (inputFormats.includes(ext.slice(1))) {
+        cb(null, true);
+      } else {
+        const err = new Error(`Unsupported file type: ${ext || '(none)'}. Supported types: ${inputFormats.join(', ')}`);
+        err.code = 'UNSUPPORTED_FILE_TYPE';
+        err.status = 400;
+        cb(err, false);
+      }
+    },
+  });
+  return {
+    array: (...args) => thenCheckQuota(keepRequestContext(instance.array(...args))),
+    fields: (...args) => thenCheckQuota(keepRequestContext(instance.fields(...args))),
+    // Input files in `name` as req.files, plus images for options in `assets` as req.assets
+    withAssets(name, maxCount) {
+      const middleware = keepRequestContext(instance.fields([
+        { name, maxCount },
+        { name: 'assets', maxCount: uploadAssets.MAX_ASSETS },
+      ]));
+      return thenCheckQuota((req, res, next) => middleware(req, res, (err) => {
+        req.assets = req.files?.assets || [];
+        req.files = req.files?.[name] || [];
+        next(err);
+      }));
+    },
+  };
+}
+const upload = createUpload(() => registry.allInputFormats());
 
 // Ensure directories exist
 const uploadsDir = path.join(__dirname, 'uploads');
 const convertedDir = path.join(__dirname, 'converted');
+// Every converted file is created, resolved and named for download through the file store
+const fileStore = createFileStore(convertedDir);
+const uploadSessions = createUploadSessions({
+  dir: path.join(uploadsDir, 'resumable'),
+  maxBytes: resumableUploadMaxBytes,
+  chunkBytes: resumableChunkBytes,
+  idleTimeout: resumableUploadTtl,
+});
 
 async function ensureDirectories() {
   try {
     await fsPromises.mkdir(uploadsDir, { recursive: true });
     await fsPromises.mkdir(convertedDir, { recursive: true });
-    console.log('Directories created:', { uploadsDir, convertedDir });
+    logger.info('Directories created:', { uploadsDir, convertedDir });
   } catch (err) {
-    console.error('Error creating directories:', err.message, err.stack);
+    logger.error('Error creating directories:', err);
     throw new Error('Failed to initialize server directories.');
   }
 }
@@ -246,440 +344,1290 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', allowedOrigins: uniqueAllowedOrigins, timestamp: new Date().toISOString() });
 });
 
-// Validation functions
-async function validateImage(inputPath) {
-  try {
-    const buffer = await fsPromises.readFile(inputPath);
-    const type = await fileTypeFromBuffer(buffer);
-    if (!type || !supportedImageToPdfFormats.includes(type.ext.toLowerCase())) {
-      throw new Error(`Invalid or unsupported image format: ${type ? type.ext : 'unknown'}. Supported formats: ${supportedImageToPdfFormats.join(', ')}`);
+const metrics = createMetrics({ prefix: 'nion_' });
+const conversionsTotal = metrics.counter('conversions_total', 'Conversions by type, format pair and outcome (done, failed, rejected).', ['type', 'from', 'to', 'status']);
+const conversionFailures = metrics.counter('conversion_failures_total', 'Failed or rejected conversions by type, format pair and error code.', ['type', 'from', 'to', 'code']);
+const conversionDuration = metrics.histogram('conversion_duration_seconds', 'Time spent converting one file, by type and format pair.', ['type', 'from', 'to']);
+const jobsTotal = metrics.counter('jobs_total', 'Finished jobs by kind (endpoint) and status.', ['kind', 'status']);
+const jobDuration = metrics.histogram('job_duration_seconds', 'Time from a job starting to it finishing, by kind and status.', ['kind', 'status']);
+
+// Rejected requests carry whatever the client sent, so only known types and short formats become label values
+function metricLabel(value, known) {
+  const label = String(value || '').toLowerCase().split(' ')[0];
+  if (!label) {
+    return 'unknown';
+  }
+  return (known ? known.includes(label) : /^[a-z0-9]{1,10}$/.test(label)) ? label : 'other';
+}
+
+// Count one conversion attempt; rejected ones never reached the converter
+function recordConversionMetrics({ type, from, to }, status, { durationMs, code } = {}) {
+  const pair = {
+    type: metricLabel(type, registry.listConverters().map(converter => converter.type)),
+    from: metricLabel(from),
+    to: metricLabel(to),
+  };
+  conversionsTotal.inc({ ...pair, status });
+  if (status !== 'done') {
+    conversionFailures.inc({ ...pair, code: code || 'CONVERSION_FAILED' });
+  }
+  if (durationMs !== undefined) {
+    conversionDuration.observe(pair, durationMs / 1000);
+  }
+}
+
+const jobQueue = createJobQueue({
+  concurrency: conversionConcurrency,
+  // Conversion minutes count against the daily quota of whoever submitted the job
+  onFinish: (job) => {
+    const labels = { kind: job.kind || 'unknown', status: job.status };
+    jobsTotal.inc(labels);
+    if (job.startedAt) {
+      jobDuration.observe(labels, (job.finishedAt - job.startedAt) / 1000);
+    }
+    if (job.owner && job.startedAt) {
+      accessControl.recordConversion(job.owner, job.finishedAt - job.startedAt);
+    }
+  },
+});
+
+metrics.gauge('jobs', 'Jobs waiting for and holding a worker.', () => {
+  const { queued, running } = jobQueue.stats();
+  return [{ labels: { state: 'queued' }, value: queued }, { labels: { state: 'running' }, value: running }];
+});
+metrics.gauge('job_workers', 'Configured conversion workers.', () => [{ value: conversionConcurrency }]);
+
+// Bytes and files under a directory, including subdirectories such as uploads/resumable
+async function directoryUsage(dir) {
+  let bytes = 0;
+  let files = 0;
+  const entries = await fsPromises.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const usage = await directoryUsage(entryPath);
+      bytes += usage.bytes;
+      files += usage.files;
+    } else if (entry.isFile()) {
+      const stats = await fsPromises.stat(entryPath).catch(() => null);
+      if (stats) {
+        bytes += stats.size;
+        files++;
+      }
     }
-    console.log(`Image validation successful for ${inputPath}: ${type.ext}`);
-    return true;
-  } catch (err) {
-    console.error(`Image validation failed for ${inputPath}: ${err.message}`);
-    return false;
   }
+  return { bytes, files };
 }
 
-async function validatePDF(inputPath) {
+// Both directories are walked once per scrape and shared by the two gauges
+let diskUsageScrape = null;
+function scrapeDiskUsage() {
+  if (!diskUsageScrape) {
+    diskUsageScrape = Promise.all([directoryUsage(uploadsDir), directoryUsage(convertedDir)]).finally(() => {
+      diskUsageScrape = null;
+    });
+  }
+  return diskUsageScrape;
+}
+metrics.gauge('disk_usage_bytes', 'Bytes stored in the uploads and converted directories.', async () => {
+  const [uploads, converted] = await scrapeDiskUsage();
+  return [{ labels: { dir: 'uploads' }, value: uploads.bytes }, { labels: { dir: 'converted' }, value: converted.bytes }];
+});
+metrics.gauge('disk_usage_files', 'Files stored in the uploads and converted directories.', async () => {
+  const [uploads, converted] = await scrapeDiskUsage();
+  return [{ labels: { dir: 'uploads' }, value: uploads.files }, { labels: { dir: 'converted' }, value: converted.files }];
+});
+
+// Prometheus scrape endpoint; with METRICS_TOKEN set it needs "Authorization: Bearer <token>"
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const given = Buffer.from(req.get('Authorization') || '');
+    const expected = Buffer.from(`Bearer ${token}`);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'A valid metrics token is required.' });
+    }
+  }
   try {
-    const dataBuffer = await fsPromises.readFile(inputPath);
-    await pdfParse(dataBuffer);
-    console.log(`PDF validation successful for ${inputPath}`);
-    return true;
+    res.type(metrics.contentType).send(await metrics.render());
   } catch (err) {
-    console.error(`PDF validation failed for ${inputPath}: ${err.message}`);
-    return false;
+    logger.error('Error rendering metrics:', err);
+    res.status(500).json({ error: 'Failed to render metrics.' });
   }
+});
+
+// Without DOWNLOAD_SECRET links are signed with a random key and stop working when the server restarts
+if (!process.env.DOWNLOAD_SECRET) {
+  logger.warn('DOWNLOAD_SECRET is not set; download links will not survive a restart');
 }
+const downloadLinks = createDownloadLinks({
+  secret: process.env.DOWNLOAD_SECRET || crypto.randomBytes(32).toString('hex'),
+  ttlSeconds: downloadTtl,
+  maxUses: downloadMaxUses,
+});
 
-// Conversion helper functions
-async function convertImageToPDF(inputPath, outputPath) {
+// Stored ID, download name, signed download path and delete token for a file in the file store
+function outputLink(id) {
+  return { name: id, downloadName: fileStore.downloadName(id), ...downloadLinks.sign(id) };
+}
+
+// Callbacks are signed with WEBHOOK_SECRET, which receivers need to check them; without it callbackUrl is
+// refused. Private and loopback targets are refused unless WEBHOOK_ALLOW_PRIVATE is set, e.g. for a
+// receiver on the same network.
+if (!process.env.WEBHOOK_SECRET) {
+  logger.warn('WEBHOOK_SECRET is not set; conversion callbacks are disabled');
+}
+const webhooks = createWebhooks({
+  secret: process.env.WEBHOOK_SECRET || null,
+  maxAttempts: webhookMaxAttempts,
+  retryDelay: webhookRetryDelay,
+  timeout: webhookTimeout,
+  allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true',
+});
+
+// Origin that links in callbacks point at: PUBLIC_URL, or the host the request came in on
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Body of the callback for a finished conversion job: its outcome, per-file results with absolute
+// download URLs, and how long it queued and ran
+function callbackPayload(job, baseUrl) {
+  const { httpStatus, ...result } = job.result || {};
+  const withUrl = entry => (entry?.path ? { ...entry, url: `${baseUrl}${entry.path}` } : entry);
+  const failed = job.status !== 'done' || result.status === 'failed';
+  return {
+    event: failed ? 'conversion.failed' : 'conversion.completed',
+    jobId: job.id,
+    requestId: job.logContext.requestId || null,
+    status: job.status,
+    ...(job.result ? {
+      result: {
+        ...result,
+        files: (result.files || []).map(withUrl),
+        ...(result.zip ? { zip: withUrl(result.zip) } : {}),
+      },
+    } : {}),
+    ...(job.error ? { error: job.error } : {}),
+    timings: {
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: new Date(job.finishedAt).toISOString(),
+      queuedMs: (job.startedAt || job.finishedAt) - job.createdAt,
+      runMs: job.startedAt ? job.finishedAt - job.startedAt : 0,
+    },
+  };
+}
+
+// Job status, with the delivery log of its callback if it has one
+function jobJSON(job) {
+  const callback = webhooks.status(job.id);
+  return { ...jobQueue.toJSON(job), ...(callback ? { callback } : {}) };
+}
+
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()), timestamp: new Date().toISOString() });
+});
+
+// Readiness: dependency checks have run and the working directories are usable.
+// Missing backends mark their conversion types degraded or unavailable but do not fail readiness.
+app.get('/health/ready', async (req, res) => {
+  const checks = { dependenciesChecked, directories: true };
   try {
-    const isValidImage = await validateImage(inputPath);
-    if (!isValidImage) {
-      throw new Error(`Invalid image file: ${inputPath}`);
-    }
-    console.log('imgToPDF type:', typeof imgToPDF, 'isFunction:', typeof imgToPDF === 'function');
-    if (typeof imgToPDF !== 'function') {
-      throw new Error('imgToPDF is not a function. Check image-to-pdf module installation.');
-    }
-    const imgStream = fs.createReadStream(inputPath);
-    const pdfStream = fs.createWriteStream(outputPath);
-    await new Promise((resolve, reject) => {
-      imgToPDF([inputPath], 'A4').pipe(pdfStream);
-      pdfStream.on('finish', () => {
-        console.log(`Converted image to PDF: ${outputPath}`);
-        resolve();
-      });
-      pdfStream.on('error', (err) => {
-        console.error(`PDF stream error: ${err.message}`);
-        reject(new Error(`Failed to write PDF: ${err.message}`));
-      });
-      imgStream.on('error', (err) => {
-        console.error(`Image stream error: ${err.message}`);
-        reject(new Error(`Failed to read image: ${err.message}`));
-      });
-    });
-  } catch (err) {
-    console.error(`Image to PDF conversion failed: ${err.message}`);
-    throw new Error(`Failed to convert image to PDF: ${err.message}`);
+    await fsPromises.access(uploadsDir, fs.constants.W_OK);
+    await fsPromises.access(convertedDir, fs.constants.W_OK);
+  } catch {
+    checks.directories = false;
   }
+  const conversionTypes = Object.fromEntries(registry.listConverters().map((converter) => {
+    const { status, missingDependencies, unavailableTargets } = registry.converterStatus(converter);
+    return [converter.type, { status, missingDependencies, unavailableTargets }];
+  }));
+  const ready = checks.dependenciesChecked && checks.directories;
+  const degraded = Object.values(conversionTypes).some(({ status }) => status !== 'available');
+  res.status(ready ? 200 : 503).json({
+    status: ready ? (degraded ? 'degraded' : 'ok') : 'not_ready',
+    checks,
+    conversionTypes,
+    dependencies: getDependencyReport(),
+    jobs: jobQueue.stats(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Error for a request whose backend tools are known to be missing on this host
+function createBackendUnavailableError(what, missing) {
+  const err = new Error(`${what} is unavailable on this server: ${missing.join(', ')} not installed.`);
+  err.code = 'BACKEND_UNAVAILABLE';
+  err.status = 503;
+  err.missing = missing;
+  return err;
+}
+
+function sendError(res, error, fallbackMessage) {
+  res.status(error.status || 500).json({
+    error: error.message || fallbackMessage,
+    ...(error.status && error.code ? { code: error.code } : {}),
+    ...(error.missing ? { missing: error.missing } : {}),
+    ...(error.detectedMime ? { detectedMime: error.detectedMime } : {}),
+    ...(error.offset !== undefined ? { offset: error.offset } : {}),
+  });
 }
 
-async function convertPngToGif(inputPath, outputPath) {
+// Run a single validated conversion and return { outputPath, details }, removing any partial output if it fails or is aborted
+async function runConversion({ converter, inputPath, outputPath, inputExt, outputExt, originalName, options, signal, onProgress }) {
+  const pair = { type: converter.type, from: inputExt, to: outputExt };
+  const started = Date.now();
+  let result;
   try {
-    await execPromise(`convert "${inputPath}" "${outputPath}"`);
-    console.log(`Converted PNG to GIF: ${outputPath}`);
+    result = await converter.convert({
+      inputPath,
+      outputPath,
+      inputExt,
+      target: outputExt,
+      originalName,
+      options,
+      signal,
+      onProgress,
+    });
   } catch (err) {
-    console.error(`PNG to GIF conversion failed: ${err.message}`);
-    throw new Error(`Failed to convert PNG to GIF: ${err.message}`);
+    await cleanupFiles([outputPath]);
+    recordConversionMetrics(pair, signal.aborted ? 'cancelled' : 'failed', {
+      durationMs: Date.now() - started,
+      code: signal.reason?.code || describeFailure(err).code,
+    });
+    throwIfAborted(signal);
+    throw err;
+  }
+  recordConversionMetrics(pair, 'done', { durationMs: Date.now() - started });
+  onProgress(1);
+  if (typeof result === 'string') {
+    return { outputPath: result, details: null };
   }
+  return { outputPath: result?.outputPath || outputPath, details: result?.details || null };
 }
 
-async function convertImage(inputPath, outputPath, format) {
-  const imageFormats = ['bmp', 'eps', 'gif', 'ico', 'png', 'svg', 'tga', 'tiff', 'wbmp', 'webp', 'jpg', 'jpeg'];
-  const inputExt = path.extname(inputPath).toLowerCase().slice(1);
-  if (!imageFormats.includes(inputExt) && ['pdf', 'docx'].includes(inputExt)) {
-    throw new Error(`Image conversion from ${inputExt} to ${format} is not supported. Please use the document or pdfs conversion type.`);
-  }
-  if (imageFormats.includes(format)) {
-    await sharp(inputPath)
-      .toFormat(format)
-      .toFile(outputPath);
-    console.log(`Image conversion completed: ${outputPath}`);
-  } else if (format === 'pdf') {
-    await convertImageToPDF(inputPath, outputPath);
-    console.log(`Image conversion to ${format} completed: ${outputPath}`);
-  } else {
-    throw new Error(`Unsupported image output format: ${format}`);
+// Run one conversion step with the per-file timeout, also aborting if the whole job is cancelled
+async function withConversionTimeout(jobSignal, fn) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => {
+    controller.abort(createConversionTimeoutError(conversionTimeout));
+  }, conversionTimeout);
+  const onJobAbort = () => controller.abort(jobSignal.reason);
+  jobSignal.addEventListener('abort', onJobAbort, { once: true });
+  try {
+    return await fn(controller.signal);
+  } finally {
+    clearTimeout(timeoutId);
+    jobSignal.removeEventListener('abort', onJobAbort);
   }
 }
 
-async function convertPdf(inputPath, outputPath, format, originalName) {
-  const inputExt = path.extname(originalName).toLowerCase().slice(1);
-  console.log(`Extracted input extension from originalName ${originalName}: ${inputExt}`);
-  if (inputExt !== 'pdf') {
-    throw new Error(`PDF conversion only supports PDF input files. Got ${inputExt}.`);
+// Reply with the job handle in async mode, otherwise wait for the job and reply with its result
+async function respondWithJob(res, job, asyncMode) {
+  if (asyncMode) {
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+    });
   }
-  if (['jpg', 'png', 'gif'].includes(format)) {
-    try {
-      const isValidPDF = await validatePDF(inputPath);
-      if (!isValidPDF) {
-        throw new Error(`Invalid or corrupted PDF file: ${inputPath}`);
-      }
-      const outputBaseName = path.basename(inputPath, '.pdf');
-      const tempOutputPath = path.join(convertedDir, `${outputBaseName}`);
-      let formatOption = format === 'jpg' ? '-jpeg' : `-${format}`;
-      if (format === 'gif') {
-        formatOption = '-png';
-        const tempPngPath = path.join(convertedDir, `${outputBaseName}.png`);
-        await execPromise(`pdftoppm -png -singlefile "${inputPath}" "${tempOutputPath}"`);
-        if (await fsPromises.access(tempPngPath).then(() => true).catch(() => false)) {
-          await convertPngToGif(tempPngPath, outputPath);
-          await fsPromises.unlink(tempPngPath).catch(err => console.error(`Error cleaning up temp PNG: ${err.message}`));
-        } else {
-          throw new Error(`PDF to PNG intermediate output not found: ${tempPngPath}`);
-        }
-      } else {
-        await execPromise(`pdftoppm ${formatOption} -singlefile "${inputPath}" "${tempOutputPath}"`);
-        const generatedPath = path.join(convertedDir, `${outputBaseName}.${format}`);
-        if (await fsPromises.access(generatedPath).then(() => true).catch(() => false)) {
-          await fsPromises.rename(generatedPath, outputPath);
-        } else {
-          throw new Error(`PDF to image output not found: ${generatedPath}`);
-        }
-      }
-    } catch (pdfError) {
-      throw new Error(`PDF to image conversion failed for ${inputPath} to ${format}: ${pdfError.message}`);
-    }
-  } else if (format === 'docx') {
-    try {
-      await converter.pdfToWord({ input: inputPath, output: outputPath });
-      console.log(`PDF to DOCX conversion completed using multi-format-converter: ${outputPath}`);
-    } catch (err) {
-      throw new Error(`PDF to DOCX conversion failed: ${err.message}`);
+
+  // A client that hangs up on a synchronous conversion no longer needs its result
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      const reason = new Error('Client disconnected before the conversion finished');
+      reason.code = 'CLIENT_DISCONNECTED';
+      jobQueue.cancel(job.id, reason);
     }
-  } else {
-    throw new Error(`Unsupported PDF output format: ${format}`);
+  });
+
+  const settled = await job.done;
+  if (settled.status !== 'done') {
+    const status = settled.error?.code === 'CONVERSION_TIMEOUT' ? 504 : settled.error?.status || 500;
+    return res.status(status).json({
+      jobId: settled.id,
+      error: settled.error?.message || 'Conversion failed.',
+      ...(settled.error?.code ? { code: settled.error.code } : {}),
+    });
   }
+  // Batch results carry their own status, e.g. 207 when only some files converted
+  const { httpStatus = 200, ...result } = settled.result || {};
+  res.status(httpStatus).json({ jobId: settled.id, ...result });
 }
 
-async function convertDocument(inputPath, outputPath, format) {
-  const inputExt = path.extname(inputPath).toLowerCase().slice(1);
-  const supportedDocumentFormats = ['docx', 'pdf'];
-  if (['bmp', 'eps', 'gif', 'ico', 'png', 'svg', 'tga', 'tiff', 'wbmp', 'webp', 'jpg', 'jpeg'].includes(inputExt)) {
-    if (format !== 'pdf') {
-      throw new Error(`Image to ${format} conversion is not supported in document type. Use image type for PDF output.`);
+// Live conversion matrix, derived from the converter registry
+app.get('/api/formats', (req, res) => {
+  res.status(200).json(registry.formatMatrix());
+});
+
+// Resumable uploads for large files: POST /api/uploads with { name, size, sha256? } starts a session,
+// PUT /api/uploads/:id?offset=N sends each chunk as the raw body with an X-Chunk-Checksum header
+// ("sha256:<hex>"), GET reports the offset to resume from, and POST /api/uploads/:id/complete finishes it.
+// The finished upload is then converted by passing its ID in `uploadIds` to /api/convert.
+app.post('/api/uploads', limitWork, keepRequestContext(express.json()), async (req, res) => {
+  try {
+    const { name, size, sha256 } = req.body || {};
+    const ext = path.extname(String(name || '')).toLowerCase().slice(1);
+    const inputFormats = registry.allInputFormats();
+    if (!inputFormats.includes(ext)) {
+      return res.status(400).json({
+        error: `Unsupported file type: .${ext}. Supported types: ${inputFormats.join(', ')}`,
+        code: 'INVALID_UPLOAD',
+      });
     }
-    await convertImageToPDF(inputPath, outputPath);
-    console.log(`Image to PDF conversion completed: ${outputPath}`);
-    return;
-  }
-  if (!supportedDocumentFormats.includes(format)) {
-    throw new Error(`Unsupported output document format: ${format}. Supported formats: ${supportedDocumentFormats.join(', ')}`);
+    res.status(201).json(await uploadSessions.create({ name, size, sha256 }));
+  } catch (error) {
+    logger.error('Upload start error:', error);
+    sendError(res, error, 'Could not start the upload.');
   }
-  if (inputExt !== 'pdf') {
-    throw new Error(`Document conversion only supports PDF input files. Got ${inputExt}.`);
+});
+
+app.get('/api/uploads/:id', (req, res) => {
+  try {
+    res.status(200).json(uploadSessions.toJSON(uploadSessions.get(req.params.id)));
+  } catch (error) {
+    sendError(res, error, 'Upload lookup failed.');
   }
-  if (format === 'docx') {
-    try {
-      await converter.pdfToWord({ input: inputPath, output: outputPath });
-      console.log(`Document conversion to DOCX completed: ${outputPath}`);
-    } catch (err) {
-      throw new Error(`Document conversion failed: ${err.message}`);
-    }
-  } else {
-    // If format is PDF and input is PDF, no conversion needed
-    await fsPromises.copyFile(inputPath, outputPath);
-    console.log(`Document copied (no conversion needed): ${outputPath}`);
-  }
-}
-
-async function convertMedia(inputPath, outputPath, format) {
-  return new Promise((resolve, reject) => {
-    ffmpeg(inputPath)
-      .toFormat(format)
-      .on('end', () => {
-        console.log(`Media conversion completed: ${outputPath}`);
-        resolve();
-      })
-      .on('error', (err) => {
-        console.error(`Media conversion error: ${err.message}`);
-        reject(new Error(`Media conversion failed: ${err.message}`));
-      })
-      .save(outputPath);
-  });
-}
+});
 
-async function convertArchive(inputPath, outputPath, format) {
-  if (format === 'zip' || format === '7z') {
-    return new Promise((resolve, reject) => {
-      sevenZip.add(outputPath, inputPath, { $raw: { '-t': format } })
-        .on('end', () => {
-          console.log(`Archive conversion completed: ${outputPath}`);
-          resolve();
-        })
-        .on('error', (err) => {
-          console.error(`Archive conversion error: ${err.message}`);
-          reject(new Error(`Archive conversion failed: ${err.message}`));
-        });
+app.put('/api/uploads/:id', accessControl.middleware({ metered: true }), thenCheckQuota(keepRequestContext(express.raw({ type: () => true, limit: resumableChunkBytes }))), async (req, res) => {
+  try {
+    const session = await uploadSessions.appendChunk(req.params.id, {
+      offset: req.query.offset,
+      checksum: req.get('X-Chunk-Checksum'),
+      data: req.body,
     });
-  } else {
-    throw new Error(`Unsupported archive format: ${format}`);
+    res.status(200).json(session);
+  } catch (error) {
+    logger.error(`Upload chunk error for ${req.params.id}:`, error);
+    sendError(res, error, 'Could not store the chunk.');
   }
-}
+});
 
-async function convertEbook(inputPath, outputPath, format) {
-  return new Promise((resolve, reject) => {
-    exec(`ebook-convert "${inputPath}" "${outputPath}"`, (err) => {
-      if (err) {
-        console.error(`Ebook conversion error: ${err.message}`);
-        return reject(new Error(`Ebook conversion failed: ${err.message}`));
-      }
-      console.log(`Ebook conversion completed: ${outputPath}`);
-      resolve();
-    });
-  });
+app.post('/api/uploads/:id/complete', async (req, res) => {
+  try {
+    res.status(200).json(await uploadSessions.complete(req.params.id));
+  } catch (error) {
+    logger.error(`Upload completion error for ${req.params.id}:`, error);
+    sendError(res, error, 'Could not complete the upload.');
+  }
+});
+
+app.delete('/api/uploads/:id', async (req, res) => {
+  try {
+    await uploadSessions.remove(req.params.id);
+    res.status(200).json({ message: `Upload ${req.params.id} discarded.` });
+  } catch (error) {
+    sendError(res, error, 'Could not discard the upload.');
+  }
+});
+
+// A failed file in a batch: the error code, message and, when an external tool failed, the tool and its stderr excerpt.
+// Errors without a status or code of their own get the fallbacks.
+function describeFailure(err, { status = 500, code: fallbackCode = 'CONVERSION_FAILED' } = {}) {
+  const chain = [];
+  for (let current = err; current && chain.length < 10; current = current.cause) {
+    chain.push(current);
+  }
+  const code = chain.find(e => e.code)?.code;
+  const failedTool = chain.find(e => e.stderr);
+  return {
+    status: err.status || (code === 'CONVERSION_TIMEOUT' ? 504 : status),
+    code: code || fallbackCode,
+    message: err.message || 'Conversion failed.',
+    ...(failedTool ? { tool: failedTool.command?.split(' ')[0], stderr: failedTool.stderr } : {}),
+    ...(err.missing ? { missing: err.missing } : {}),
+    ...(err.detectedMime ? { detectedMime: err.detectedMime } : {}),
+  };
 }
 
-async function convertCompressor(inputPath, outputPath, format) {
-  if (format === 'svg') {
-    await converter.compressSvg({ input: inputPath, output: outputPath });
-  } else if (['jpg', 'png'].includes(format)) {
-    await sharp(inputPath)
-      .toFormat(format, { quality: 80 })
-      .toFile(outputPath);
-    console.log(`Image compression completed: ${outputPath}`);
-  } else {
-    throw new Error(`Unsupported compressor output format: ${format}`);
+// Summary and HTTP status for per-file batch results: 200 when every file converted, 207 for a mix.
+// When every file failed, their shared status is used, or 207 if they failed in different ways.
+function summarizeBatch(files) {
+  const failed = files.filter(file => file.status === 'failed');
+  const succeeded = files.length - failed.length;
+  const statuses = new Set(failed.map(file => file.error.status));
+  let httpStatus = 207;
+  if (failed.length === 0) {
+    httpStatus = 200;
+  } else if (succeeded === 0 && statuses.size === 1) {
+    [httpStatus] = statuses;
   }
+  return {
+    status: failed.length === 0 ? 'completed' : succeeded > 0 ? 'partial' : 'failed',
+    succeeded,
+    failed: failed.length,
+    httpStatus,
+  };
 }
 
-// Conversion route
-app.post('/api/convert', upload.array('files', 5), async (req, res) => {
-  console.log('Received /api/convert request', {
-    files: req.files ? req.files.map(f => f.originalname) : [],
+// Conversion route. Each file gets its own result entry, so one bad file does not fail the others;
+// with zipAll=true the successful outputs are also packed into one zip. Completed resumable uploads
+// are converted by listing their IDs in `uploadIds`; they follow the multipart files in `formats`.
+// Images for options such as a cover or a watermark can be uploaded in `assets` and named as "asset:<file name>".
+app.post('/api/convert', limitWork, upload.withAssets('files', 5), async (req, res) => {
+  logger.info('Received /api/convert request', {
+    files: req.files.map(f => f.originalname),
+    assets: req.assets.map(f => f.originalname),
     formats: req.body.formats,
   });
-  let tempFiles = req.files ? req.files.map(f => f.path) : [];
+  let tempFiles = [...req.files, ...req.assets].map(f => f.path);
+  // With a callbackUrl the job is always asynchronous: the caller gets 202 now and the result by POST later
+  const callbackUrl = req.query.callbackUrl || req.body.callbackUrl;
+  const asyncMode = Boolean(callbackUrl) || req.query.async === 'true' || req.body.async === 'true';
+  // Treat a file whose content does not match its extension as the detected type instead of rejecting it
+  const autoCorrect = req.query.autoCorrect === 'true' || req.body.autoCorrect === 'true';
+  const zipAll = req.query.zipAll === 'true' || req.body.zipAll === 'true';
   try {
     await ensureDirectories();
-    const files = req.files;
     let formats;
+    let uploadIds;
     try {
       formats = JSON.parse(req.body.formats || '[]');
-      console.log('Parsed formats:', formats);
+      logger.info('Parsed formats:', formats);
+      uploadIds = JSON.parse(req.body.uploadIds || '[]');
     } catch (parseError) {
-      console.error('Error parsing formats:', parseError.message);
+      logger.error('Error parsing formats:', parseError);
       return res.status(400).json({ error: 'Invalid formats data. Please provide valid JSON.' });
     }
-
-    if (!files || files.length === 0) {
+    if (!Array.isArray(uploadIds) || uploadIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ error: '"uploadIds" must be a JSON array of upload IDs.' });
+    }
+    const fileCount = (req.files || []).length + uploadIds.length;
+    if (fileCount === 0) {
       return res.status(400).json({ error: 'No files uploaded.' });
     }
-    if (files.length > 5) {
+    if (fileCount > 5) {
       return res.status(400).json({ error: 'Maximum 5 files allowed.' });
     }
-    if (files.length !== formats.length) {
+    if (!Array.isArray(formats) || fileCount !== formats.length) {
       return res.status(400).json({
-        error: `Mismatch between files (${files.length}) and formats (${formats.length})`,
+        error: `Mismatch between files (${fileCount}) and formats (${Array.isArray(formats) ? formats.length : 0})`,
       });
     }
+    if (zipAll) {
+      const missing = findMissing([binaries.sevenZip]);
+      if (missing.length > 0) {
+        throw createBackendUnavailableError('Zipping all outputs', missing);
+      }
+    }
+    const callback = callbackUrl ? webhooks.validateUrl(callbackUrl) : null;
+    // Claimed uploads are removed along with the multipart ones once the request or its job is done
+    const resumed = uploadSessions.claim(uploadIds);
+    tempFiles.push(...resumed.map(file => file.path));
+    const files = [...(req.files || []), ...resumed];
 
-    const outputFiles = [];
+    // Files that fail these checks are reported as failed without being queued
+    const results = [];
+    const conversions = [];
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
-      const formatInfo = formats[i];
-      const inputExt = path.extname(file.originalname).toLowerCase().slice(1) || 'unknown';
-      const outputExt = formatInfo.target?.toLowerCase().split(' ')[0];
-      const conversionType = formatInfo.type;
+      const formatInfo = formats[i] || {};
+      try {
+        const declaredExt = path.extname(file.originalname).toLowerCase().slice(1) || 'unknown';
+        const outputExt = formatInfo.target?.toLowerCase().split(' ')[0];
+        const conversionType = formatInfo.type;
 
-      if (!formatInfo.type || !outputExt) {
-        throw new Error('Invalid format information: type and target are required.');
-      }
-      if (!Object.keys(supportedFormats).includes(conversionType)) {
-        throw new Error(`Unsupported conversion type: ${conversionType}. Supported types: ${Object.keys(supportedFormats).join(', ')}`);
+        if (!formatInfo.type || !outputExt) {
+          throw new Error('Invalid format information: type and target are required.');
+        }
+        const contentType = await checkContentType(path.resolve(file.path), declaredExt, {
+          autoCorrect,
+          name: file.originalname,
+        });
+        const inputExt = contentType.ext;
+        const { converter, options } = registry.resolveConversion({
+          type: conversionType,
+          inputExt,
+          target: outputExt,
+          options: await uploadAssets.inlineAssets(formatInfo.options, req.assets),
+        });
+        const missing = registry.missingDependencies(converter, { inputExt, target: outputExt, options });
+        if (missing.length > 0) {
+          throw createBackendUnavailableError(`Conversion from ${inputExt} to ${outputExt}`, missing);
+        }
+
+        const inputPath = path.resolve(file.path);
+        try {
+          await fsPromises.access(inputPath);
+        } catch {
+          throw new Error(`Input file not found: ${file.originalname}`);
+        }
+
+        // Content checks declared by the converter, e.g. that a PDF actually parses
+        if (converter.validateInput) {
+          await converter.validateInput({
+            inputPath, inputExt, target: outputExt, originalName: file.originalname, options, timeout: conversionTimeout,
+          });
+        }
+        const { path: outputPath } = await fileStore.createOutput({ name: file.originalname, ext: outputExt });
+
+        const conversion = {
+          index: i,
+          converter,
+          conversionType,
+          inputPath,
+          outputPath,
+          inputExt,
+          outputExt,
+          originalName: file.originalname,
+          options,
+          input: {
+            name: file.originalname,
+            type: contentType.ext,
+            mime: contentType.mime,
+            corrected: contentType.corrected,
+          },
+        };
+        conversions.push(conversion);
+        results.push(conversion);
+      } catch (err) {
+        logger.error(`Rejected ${file.originalname}: ${err.message}`);
+        recordConversionMetrics({ type: formatInfo.type, from: path.extname(file.originalname).slice(1), to: formatInfo.target }, 'rejected', {
+          code: describeFailure(err, { code: 'INVALID_CONVERSION' }).code,
+        });
+        results.push({ index: i, status: 'failed', input: { name: file.originalname }, error: describeFailure(err, { status: 400, code: 'INVALID_CONVERSION' }) });
       }
-      if (!supportedFormats[conversionType].includes(outputExt)) {
-        throw new Error(`Unsupported output format: ${outputExt} for type ${conversionType}. Supported formats: ${supportedFormats[conversionType].join(', ')}`);
+    }
+
+    if (conversions.length === 0) {
+      const { httpStatus, ...summary } = summarizeBatch(results);
+      return res.status(httpStatus).json({ ...summary, files: results });
+    }
+
+    const uploadedFiles = tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir));
+    const job = jobQueue.submit(async ({ signal, reportProgress }) => {
+      const outputFiles = [];
+      for (const [step, conversion] of conversions.entries()) {
+        if (signal.aborted) {
+          throw signal.reason;
+        }
+        logger.info(`Converting ${conversion.originalName} to ${conversion.outputExt} (type: ${conversion.conversionType})`);
+        const started = Date.now();
+        try {
+          const { outputPath, details } = await withConversionTimeout(signal, (conversionSignal) => runConversion({
+            ...conversion,
+            signal: conversionSignal,
+            onProgress: (fraction, message) => reportProgress((step + fraction) / conversions.length, message),
+          }));
+
+          // Some converters pick their own output name, e.g. a zip of rendered pages
+          let id = path.basename(outputPath);
+          if (outputPath !== conversion.outputPath) {
+            fileStore.forget(path.basename(conversion.outputPath));
+            id = fileStore.register(outputPath, { name: conversion.originalName });
+          }
+          outputFiles[conversion.index] = {
+            index: conversion.index,
+            status: 'done',
+            ...outputLink(id),
+            input: conversion.input,
+            ...(details ? { output: details } : {}),
+            durationMs: Date.now() - started,
+          };
+        } catch (err) {
+          // Cancelling the job stops the whole batch
+          if (signal.aborted) {
+            throw err;
+          }
+          logger.error(`Conversion of ${conversion.originalName} failed: ${err.message}`);
+          fileStore.forget(path.basename(conversion.outputPath));
+          outputFiles[conversion.index] = {
+            index: conversion.index,
+            status: 'failed',
+            input: conversion.input,
+            error: describeFailure(err),
+            durationMs: Date.now() - started,
+          };
+        }
+        reportProgress((step + 1) / conversions.length);
       }
-      if (!allFormats.includes(inputExt)) {
-        throw new Error(`Unsupported input format: ${inputExt}. Supported formats: ${allFormats.join(', ')}`);
+      const batch = results.map(result => outputFiles[result.index] || result);
+      const { httpStatus, ...summary } = summarizeBatch(batch);
+
+      let zip;
+      const converted = batch.filter(file => file.status === 'done');
+      if (zipAll && converted.length > 0) {
+        const output = await fileStore.createOutput({ name: 'converted-files', ext: 'zip' });
+        try {
+          await withConversionTimeout(signal, conversionSignal => archive.bundleFiles(
+            converted.map(file => ({ filePath: fileStore.resolve(file.name), name: file.downloadName })),
+            output.path,
+            'zip',
+            { signal: conversionSignal }
+          ));
+          zip = { status: 'done', ...outputLink(output.id) };
+        } catch (err) {
+          await cleanupFiles([output.path]);
+          fileStore.forget(output.id);
+          if (signal.aborted) {
+            throw err;
+          }
+          logger.error(`Zipping converted files failed: ${err.message}`);
+          zip = { status: 'failed', error: describeFailure(err) };
+        }
       }
+      return { ...summary, httpStatus, files: batch, ...(zip ? { zip } : {}) };
+    }, {
+      cleanup: () => cleanupFiles(uploadedFiles),
+      owner: req.apiClient,
+      kind: 'convert',
+    });
+    // Uploads now belong to the job and are removed when it settles
+    tempFiles = [];
+    if (callback) {
+      const baseUrl = publicBaseUrl(req);
+      webhooks.register({ jobId: job.id, requestId: req.id, url: callback });
+      job.done.then((settled) => {
+        const payload = callbackPayload(settled, baseUrl);
+        webhooks.deliver(settled.id, { event: payload.event, payload });
+      }).catch((err) => {
+        logger.error(`Could not send the callback for job ${job.id}:`, err);
+      });
+    }
 
-      const inputPath = path.resolve(file.path);
-      const outputPath = path.resolve(
-        convertedDir,
-        `${path.basename(file.filename, path.extname(file.filename))}_${Date.now()}.${outputExt}`
+    await respondWithJob(res, job, asyncMode);
+  } catch (error) {
+    logger.error('Conversion error:', error);
+    sendError(res, error, 'Conversion failed.');
+  } finally {
+    await cleanupFiles(tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir)));
+  }
+});
+
+// Merge several images into one multi-page PDF, in upload order
+app.post('/api/merge/images-to-pdf', limitWork, upload.array('files', maxMergeFiles), async (req, res) => {
+  logger.info('Received /api/merge/images-to-pdf request', {
+    files: req.files ? req.files.map(f => f.originalname) : [],
+    options: req.body.options,
+  });
+  let tempFiles = req.files ? req.files.map(f => f.path) : [];
+  const asyncMode = req.query.async === 'true' || req.body.async === 'true';
+  const autoCorrect = req.query.autoCorrect === 'true' || req.body.autoCorrect === 'true';
+  try {
+    await ensureDirectories();
+    const files = req.files;
+    let options;
+    try {
+      options = normalizeImagesToPdfOptions(JSON.parse(req.body.options || '{}'));
+    } catch (parseError) {
+      logger.error('Error parsing merge options:', parseError);
+      return res.status(400).json({ error: `Invalid merge options: ${parseError.message}` });
+    }
+
+    if (!files || files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded.' });
+    }
+    // BMP pages are decoded with ImageMagick, everything else with sharp
+    const hasBmp = files.some(file => path.extname(file.originalname).toLowerCase() === '.bmp');
+    const missing = findMissing([modules.pdfkit, modules.sharp, ...(hasBmp ? [binaries.ImageMagick] : [])]);
+    if (missing.length > 0) {
+      throw createBackendUnavailableError('Image merge', missing);
+    }
+    const inputs = [];
+    for (const file of files) {
+      const contentType = await checkContentType(
+        path.resolve(file.path),
+        path.extname(file.originalname).toLowerCase().slice(1),
+        { autoCorrect, name: file.originalname }
       );
+      if (!mergeableImageFormats.includes(contentType.ext)) {
+        return res.status(400).json({
+          error: `Invalid or unsupported image file: ${file.originalname}. Supported formats: ${mergeableImageFormats.join(', ')}`,
+        });
+      }
+      inputs.push({ name: file.originalname, type: contentType.ext, mime: contentType.mime, corrected: contentType.corrected });
+    }
 
-      try {
-        await fsPromises.access(inputPath);
-      } catch {
-        throw new Error(`Input file not found: ${file.originalname}`);
+    const inputPaths = files.map(file => path.resolve(file.path));
+    const { id, path: outputPath } = await fileStore.createOutput({ name: files[0].originalname, ext: 'pdf', suffix: 'merged' });
+    const uploadedFiles = tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir));
+    const job = jobQueue.submit(async ({ signal, reportProgress }) => {
+      await withConversionTimeout(signal, (conversionSignal) => mergeImagesToPDF(inputPaths, outputPath, options, {
+        signal: conversionSignal,
+        onProgress: reportProgress,
+      }));
+      return { files: [{ ...outputLink(id), inputs }] };
+    }, {
+      cleanup: () => cleanupFiles(uploadedFiles),
+      owner: req.apiClient,
+      kind: 'merge',
+    });
+    // Uploads now belong to the job and are removed when it settles
+    tempFiles = [];
+
+    await respondWithJob(res, job, asyncMode);
+  } catch (error) {
+    logger.error('Image merge error:', error);
+    sendError(res, error, 'Image merge failed.');
+  } finally {
+    await cleanupFiles(tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir)));
+  }
+});
+
+// Describe uploaded files without converting them: media streams, image properties, PDF info or archive listings
+app.post('/api/inspect', limitWork, upload.array('files', 5), async (req, res) => {
+  logger.info('Received /api/inspect request', {
+    files: req.files ? req.files.map(f => f.originalname) : [],
+  });
+  let tempFiles = req.files ? req.files.map(f => f.path) : [];
+  const asyncMode = req.query.async === 'true' || req.body.async === 'true';
+  const autoCorrect = req.query.autoCorrect === 'true' || req.body.autoCorrect === 'true';
+  try {
+    await ensureDirectories();
+    const files = req.files;
+    if (!files || files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded.' });
+    }
+
+    const inspections = [];
+    for (const file of files) {
+      const inputPath = path.resolve(file.path);
+      const contentType = await checkContentType(inputPath, path.extname(file.originalname).toLowerCase().slice(1), {
+        autoCorrect,
+        name: file.originalname,
+      });
+      const { kind, dependencies } = inspectorFor(contentType.ext);
+      const missing = findMissing(dependencies);
+      if (missing.length > 0) {
+        throw createBackendUnavailableError(`Inspecting ${kind} files`, missing);
       }
+      inspections.push({ inputPath, name: file.originalname, contentType });
+    }
 
-      // Validate input based on conversion type
-      if (conversionType === 'pdfs' && inputExt === 'pdf') {
-        const isValidPDF = await validatePDF(inputPath);
-        if (!isValidPDF) {
-          throw new Error(`Invalid or corrupted PDF file: ${file.originalname}`);
-        }
-      } else if (conversionType === 'image' && outputExt === 'pdf') {
-        const isValidImage = await validateImage(inputPath);
-        if (!isValidImage) {
-          throw new Error(`Invalid or unsupported image file: ${file.originalname}`);
+    const uploadedFiles = tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir));
+    const job = jobQueue.submit(async ({ signal, reportProgress }) => {
+      const results = [];
+      for (const [index, { inputPath, name, contentType }] of inspections.entries()) {
+        if (signal.aborted) {
+          throw signal.reason;
         }
+        const result = await withConversionTimeout(signal, (conversionSignal) => inspectFile(inputPath, {
+          ext: contentType.ext,
+          mime: contentType.mime,
+          name,
+          signal: conversionSignal,
+        }));
+        results.push({ ...result, corrected: contentType.corrected });
+        reportProgress((index + 1) / inspections.length);
       }
+      return { files: results };
+    }, {
+      cleanup: () => cleanupFiles(uploadedFiles),
+      owner: req.apiClient,
+      kind: 'inspect',
+    });
+    // Uploads now belong to the job and are removed when it settles
+    tempFiles = [];
 
-      console.log(`Converting ${file.originalname} to ${outputExt} (type: ${conversionType})`);
+    await respondWithJob(res, job, asyncMode);
+  } catch (error) {
+    logger.error('Inspection error:', error);
+    sendError(res, error, 'Inspection failed.');
+  } finally {
+    await cleanupFiles(tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir)));
+  }
+});
 
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => {
-        controller.abort(new Error('Conversion timed out'));
-      }, conversionTimeout);
+// Pack several uploaded files into one archive
+app.post('/api/archive/bundle', limitWork, upload.array('files', maxMergeFiles), async (req, res) => {
+  logger.info('Received /api/archive/bundle request', {
+    files: req.files ? req.files.map(f => f.originalname) : [],
+  });
+  let tempFiles = req.files ? req.files.map(f => f.path) : [];
+  const asyncMode = req.query.async === 'true' || req.body.async === 'true';
+  try {
+    await ensureDirectories();
+    const files = req.files;
+    const format = String(req.body.format || 'zip').toLowerCase();
+    let password;
+    try {
+      if (!Object.hasOwn(archive.packFormats, format)) {
+        throw new Error(`unsupported format ${format}. Supported: ${Object.keys(archive.packFormats).join(', ')}`);
+      }
+      ({ password } = validateOptions({ password: archive.passwordOption }, JSON.parse(req.body.options || '{}'), 'Bundle option'));
+      if (password !== undefined && !archive.passwordFormats.includes(format)) {
+        throw new Error(`passwords are only supported for ${archive.passwordFormats.join(', ')} archives`);
+      }
+    } catch (parseError) {
+      logger.error('Error parsing bundle options:', parseError);
+      return res.status(400).json({ error: `Invalid bundle options: ${parseError.message}` });
+    }
+    if (!files || files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded.' });
+    }
+    const missing = findMissing([binaries.sevenZip]);
+    if (missing.length > 0) {
+      throw createBackendUnavailableError('Archive bundling', missing);
+    }
+
+    // Bundled files are stored as they are, so their content is not sniffed
+    const inputs = files.map(file => ({ name: file.originalname, size: file.size }));
+    const bundle = files.map(file => ({ filePath: path.resolve(file.path), name: file.originalname }));
+    const { id, path: outputPath } = await fileStore.createOutput({ name: files[0].originalname, ext: format, suffix: 'bundle' });
+    const uploadedFiles = tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir));
+    const job = jobQueue.submit(async ({ signal }) => {
+      await withConversionTimeout(signal, async (conversionSignal) => {
+        try {
+          await archive.bundleFiles(bundle, outputPath, format, { password, signal: conversionSignal });
+        } catch (err) {
+          await cleanupFiles([outputPath]);
+          throwIfAborted(conversionSignal);
+          throw new Error(`Archive bundle failed: ${err.message}`);
+        }
+      });
+      logger.info(`Bundled ${bundle.length} file(s) into ${outputPath}`);
+      return { files: [{ ...outputLink(id), inputs }] };
+    }, {
+      cleanup: () => cleanupFiles(uploadedFiles),
+      owner: req.apiClient,
+      kind: 'bundle',
+    });
+    // Uploads now belong to the job and are removed when it settles
+    tempFiles = [];
+
+    await respondWithJob(res, job, asyncMode);
+  } catch (error) {
+    logger.error('Archive bundle error:', error);
+    sendError(res, error, 'Archive bundle failed.');
+  } finally {
+    await cleanupFiles(tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir)));
+  }
+});
 
+const maxExtractedFiles = 100;
+
+// Extract an archive; each file becomes its own download. `entries` picks files by their path in the archive.
+app.post('/api/archive/extract', limitWork, upload.array('files', 1), async (req, res) => {
+  logger.info('Received /api/archive/extract request', {
+    files: req.files ? req.files.map(f => f.originalname) : [],
+    options: req.body.options,
+  });
+  let tempFiles = req.files ? req.files.map(f => f.path) : [];
+  const asyncMode = req.query.async === 'true' || req.body.async === 'true';
+  const autoCorrect = req.query.autoCorrect === 'true' || req.body.autoCorrect === 'true';
+  try {
+    await ensureDirectories();
+    const file = req.files?.[0];
+    if (!file) {
+      return res.status(400).json({ error: 'No files uploaded.' });
+    }
+    let entries;
+    try {
+      ({ entries } = JSON.parse(req.body.options || '{}'));
+      if (entries !== undefined && (!Array.isArray(entries) || entries.length === 0
+        || entries.length > maxExtractedFiles || entries.some(entry => typeof entry !== 'string'))) {
+        throw new Error(`"entries" must list 1-${maxExtractedFiles} file paths inside the archive.`);
+      }
+    } catch (parseError) {
+      logger.error('Error parsing extract options:', parseError);
+      return res.status(400).json({ error: `Invalid extract options: ${parseError.message}` });
+    }
+    const missing = findMissing([binaries.sevenZip]);
+    if (missing.length > 0) {
+      throw createBackendUnavailableError('Archive extraction', missing);
+    }
+
+    const inputPath = path.resolve(file.path);
+    const contentType = await checkContentType(inputPath, path.extname(file.originalname).toLowerCase().slice(1), {
+      autoCorrect,
+      name: file.originalname,
+    });
+    if (!archive.archiveFormats.includes(contentType.ext)) {
+      return res.status(400).json({
+        error: `${file.originalname} is not an archive. Supported formats: ${archive.archiveFormats.join(', ')}`,
+      });
+    }
+    // Limits, path checks and the entry selection run on the listing before anything is queued
+    const listing = await archive.listArchive(inputPath, { timeout: conversionTimeout });
+    archive.checkArchiveListing(listing, file.size);
+    const listedFiles = new Set(listing.entries.filter(entry => !entry.directory).map(entry => entry.path));
+    const unknownEntries = (entries || []).filter(entry => !listedFiles.has(entry));
+    if (unknownEntries.length > 0) {
+      return res.status(400).json({ error: `Not in the archive: ${unknownEntries.join(', ')}` });
+    }
+    const input = { name: file.originalname, type: contentType.ext, mime: contentType.mime, corrected: contentType.corrected };
+
+    const uploadedFiles = tempFiles.filter(uploaded => path.resolve(uploaded).startsWith(uploadsDir));
+    const job = jobQueue.submit(async ({ signal }) => withConversionTimeout(signal, async (conversionSignal) => {
+      const workDir = tmp.dirSync({ prefix: 'archive-extract-', unsafeCleanup: true });
       try {
-        switch (conversionType) {
-          case 'image':
-            await convertImage(inputPath, outputPath, outputExt);
-            break;
-          case 'compressor':
-            await convertCompressor(inputPath, outputPath, outputExt);
-            break;
-          case 'pdfs':
-            await convertPdf(inputPath, outputPath, outputExt, file.originalname);
-            break;
-          case 'audio':
-          case 'video':
-            await convertMedia(inputPath, outputPath, outputExt);
-            break;
-          case 'document':
-            await convertDocument(inputPath, outputPath, outputExt);
-            break;
-          case 'archive':
-            await convertArchive(inputPath, outputPath, outputExt);
-            break;
-          case 'ebook':
-            await convertEbook(inputPath, outputPath, outputExt);
-            break;
-          default:
-            throw new Error(`Unsupported conversion type: ${conversionType}`);
+        const extracted = await archive.extractArchive(inputPath, workDir.name, { signal: conversionSignal });
+        let selected = extracted.files;
+        if (entries) {
+          const byPath = new Map(extracted.files.map(entry => [entry.path, entry]));
+          selected = [...new Set(entries)].filter(entry => byPath.has(entry)).map(entry => byPath.get(entry));
+        } else if (selected.length > maxExtractedFiles) {
+          throw new Error(`Archive has ${selected.length} files; pick up to ${maxExtractedFiles} with "entries" or convert it to another archive format.`);
+        }
+
+        const outputFiles = [];
+        for (const entry of selected) {
+          throwIfAborted(conversionSignal);
+          // Each extracted file is downloaded under its own name from the archive
+          const entryName = archive.safeEntryName(entry.path);
+          const output = await fileStore.createOutput({ name: entryName, ext: path.extname(entryName) });
+          await fsPromises.copyFile(entry.fullPath, output.path);
+          outputFiles.push({ ...outputLink(output.id), entry: entry.path, size: entry.size, input });
         }
+        logger.info(`Extracted ${outputFiles.length} file(s) from ${file.originalname}`);
+        return { archive: { type: extracted.type, fileCount: extracted.files.length }, files: outputFiles };
       } finally {
-        clearTimeout(timeoutId);
+        workDir.removeCallback();
+      }
+    }), {
+      cleanup: () => cleanupFiles(uploadedFiles),
+      owner: req.apiClient,
+      kind: 'extract',
+    });
+    // Uploads now belong to the job and are removed when it settles
+    tempFiles = [];
+
+    await respondWithJob(res, job, asyncMode);
+  } catch (error) {
+    logger.error('Archive extract error:', error);
+    sendError(res, error, 'Archive extraction failed.');
+  } finally {
+    await cleanupFiles(tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir)));
+  }
+});
+
+// Read an ebook's metadata, or rewrite title, authors, cover and other fields without converting it.
+// With no fields in `options` this only reads; otherwise the edited copy is returned as a download.
+// A new cover can be uploaded in `assets` and set as "cover": "asset:<file name>".
+app.post('/api/ebook/metadata', limitWork, upload.withAssets('files', 1), async (req, res) => {
+  logger.info('Received /api/ebook/metadata request', {
+    files: req.files.map(f => f.originalname),
+    assets: req.assets.map(f => f.originalname),
+  });
+  let tempFiles = [...req.files, ...req.assets].map(f => f.path);
+  const asyncMode = req.query.async === 'true' || req.body.async === 'true';
+  const autoCorrect = req.query.autoCorrect === 'true' || req.body.autoCorrect === 'true';
+  try {
+    await ensureDirectories();
+    const file = req.files?.[0];
+    if (!file) {
+      return res.status(400).json({ error: 'No files uploaded.' });
+    }
+    let changes;
+    try {
+      const options = await uploadAssets.inlineAssets(JSON.parse(req.body.options || '{}'), req.assets);
+      changes = validateOptions(ebookMetadata.metadataOptions, options, 'Metadata option');
+      ebookMetadata.checkCoverSize(changes.cover);
+    } catch (parseError) {
+      logger.error('Error parsing metadata options:', parseError);
+      if (parseError.status) {
+        return sendError(res, parseError, 'Invalid metadata options.');
       }
+      return res.status(400).json({ error: `Invalid metadata options: ${parseError.message}` });
+    }
+    const missing = findMissing([binaries.ebookMeta]);
+    if (missing.length > 0) {
+      throw createBackendUnavailableError('Ebook metadata', missing);
+    }
 
-      outputFiles.push({
-        path: outputPath,
-        name: path.basename(outputPath),
+    const inputPath = path.resolve(file.path);
+    const contentType = await checkContentType(inputPath, path.extname(file.originalname).toLowerCase().slice(1), {
+      autoCorrect,
+      name: file.originalname,
+    });
+    if (!registry.getConverter('ebook').inputs.includes(contentType.ext)) {
+      return res.status(400).json({
+        error: `${file.originalname} is not an ebook. Supported formats: ${registry.getConverter('ebook').inputs.join(', ')}`,
       });
-      tempFiles.push(outputPath);
     }
+    const input = { name: file.originalname, type: contentType.ext, mime: contentType.mime, corrected: contentType.corrected };
+    const writing = Object.keys(changes).length > 0;
 
-    res.json({
-      files: outputFiles.map(file => ({
-        name: file.name,
-        path: `/converted/${file.name}`,
-      })),
+    const uploadedFiles = tempFiles.filter(uploaded => path.resolve(uploaded).startsWith(uploadsDir));
+    const job = jobQueue.submit(async ({ signal }) => withConversionTimeout(signal, async (conversionSignal) => {
+      if (!writing) {
+        const workDir = tmp.dirSync({ prefix: 'ebook-meta-', unsafeCleanup: true });
+        try {
+          const source = await ebookMetadata.withExtension(inputPath, contentType.ext, workDir.name);
+          return { input, metadata: await ebookMetadata.readEbookMetadata(source, { signal: conversionSignal }) };
+        } finally {
+          workDir.removeCallback();
+        }
+      }
+      // ebook-meta edits in place, so it works on the copy that becomes the download
+      const { id, path: outputPath } = await fileStore.createOutput({ name: file.originalname, ext: contentType.ext });
+      const workDir = tmp.dirSync({ prefix: 'ebook-meta-', unsafeCleanup: true });
+      try {
+        await fsPromises.copyFile(inputPath, outputPath);
+        const metadata = await ebookMetadata.writeEbookMetadata(outputPath, changes, {
+          workDir: workDir.name,
+          signal: conversionSignal,
+        });
+        logger.info(`Updated ebook metadata: ${outputPath}`);
+        return { files: [{ ...outputLink(id), input }], metadata };
+      } catch (err) {
+        await cleanupFiles([outputPath]);
+        throwIfAborted(conversionSignal);
+        throw new Error(`Ebook metadata update failed: ${err.message}`);
+      } finally {
+        workDir.removeCallback();
+      }
+    }), {
+      cleanup: () => cleanupFiles(uploadedFiles),
+      owner: req.apiClient,
+      kind: 'ebook-metadata',
     });
+    // Uploads now belong to the job and are removed when it settles
+    tempFiles = [];
+
+    await respondWithJob(res, job, asyncMode);
   } catch (error) {
-    console.error('Conversion error:', error.message, error.stack);
-    res.status(500).json({ error: error.message || 'Conversion failed.' });
+    logger.error('Ebook metadata error:', error);
+    sendError(res, error, 'Ebook metadata failed.');
   } finally {
-    await cleanupFiles(tempFiles.filter(file => file.startsWith(uploadsDir)));
+    await cleanupFiles(tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir)));
   }
 });
 
-// Serve converted files
-app.get('/converted/:filename', async (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.resolve(convertedDir, filename);
-  console.log(`Serving file: ${filePath}`);
+// PDF toolkit operations: each validates its options up front and writes one output file
+const pdfToolOperations = {
+  merge: {
+    minFiles: 2,
+    normalize(options, fileCount) {
+      const order = options.order ?? Array.from({ length: fileCount }, (_, i) => i);
+      if (!Array.isArray(order) || order.length !== fileCount
+        || [...order].sort((a, b) => a - b).some((value, i) => value !== i)) {
+        throw new Error(`Option "order" must list each of the ${fileCount} uploaded file indexes (0-based) exactly once.`);
+      }
+      return { order };
+    },
+    run: (inputPaths, outputPath, { order }) => pdfTools.mergePdfs(order.map(i => inputPaths[i]), outputPath),
+  },
+  split: {
+    binaries: [binaries.sevenZip],
+    outputExt: 'zip',
+    normalize(options) {
+      const ranges = typeof options.ranges === 'string' ? options.ranges.split(';') : options.ranges;
+      if (ranges !== undefined && !Array.isArray(ranges)) {
+        throw new Error('Option "ranges" must be an array of page ranges, e.g. ["1-3", "4-6"].');
+      }
+      (ranges || []).forEach(checkPageRanges);
+      return { ranges };
+    },
+    async run([inputPath], outputPath, { ranges }, { signal }) {
+      const workDir = tmp.dirSync({ prefix: 'pdf-split-', unsafeCleanup: true });
+      try {
+        const parts = await pdfTools.splitPdf(inputPath, workDir.name, ranges);
+        await runProcess('7z', ['a', '-tzip', '-y', outputPath, ...parts], { signal });
+        return outputPath;
+      } finally {
+        workDir.removeCallback();
+      }
+    },
+  },
+  rotate: {
+    normalize(options) {
+      const angle = Number(options.angle ?? 90);
+      if (![90, 180, 270, -90].includes(angle)) {
+        throw new Error('Option "angle" must be 90, 180, 270 or -90.');
+      }
+      checkPageRanges(options.pages);
+      return { pages: options.pages, angle: (angle + 360) % 360 };
+    },
+    run: ([inputPath], outputPath, options) => pdfTools.rotatePages(inputPath, outputPath, options),
+  },
+  delete: {
+    normalize(options) {
+      if (options.pages === undefined) {
+        throw new Error('Option "pages" is required.');
+      }
+      checkPageRanges(options.pages);
+      return { pages: options.pages };
+    },
+    run: ([inputPath], outputPath, options) => pdfTools.deletePages(inputPath, outputPath, options),
+  },
+  reorder: {
+    normalize(options) {
+      if (options.order === undefined) {
+        throw new Error('Option "order" is required, e.g. "3,1,2".');
+      }
+      checkPageRanges(options.order);
+      return { order: options.order };
+    },
+    run: ([inputPath], outputPath, options) => pdfTools.reorderPages(inputPath, outputPath, options),
+  },
+  extract: {
+    normalize(options) {
+      if (options.pages === undefined) {
+        throw new Error('Option "pages" is required.');
+      }
+      checkPageRanges(options.pages);
+      return { pages: options.pages };
+    },
+    run: ([inputPath], outputPath, options) => pdfTools.extractPages(inputPath, outputPath, options),
+  },
+};
+const maxPdfToolFiles = 10;
+
+app.post('/api/pdf/:operation', limitWork, upload.array('files', maxPdfToolFiles), async (req, res) => {
+  const operationName = req.params.operation;
+  logger.info(`Received /api/pdf/${operationName} request`, {
+    files: req.files ? req.files.map(f => f.originalname) : [],
+    options: req.body.options,
+  });
+  let tempFiles = req.files ? req.files.map(f => f.path) : [];
+  const asyncMode = req.query.async === 'true' || req.body.async === 'true';
   try {
-    await fsPromises.access(filePath);
-    res.download(filePath, filename, async (err) => {
-      if (err) {
-        console.error('Error sending file:', err.message);
-        res.status(500).json({ error: 'Failed to send converted file.' });
-      } else {
-        console.log(`File sent successfully: ${filePath}`);
-        await cleanupFiles([filePath]);
+    await ensureDirectories();
+    const operation = Object.hasOwn(pdfToolOperations, operationName) ? pdfToolOperations[operationName] : null;
+    if (!operation) {
+      return res.status(404).json({
+        error: `Unknown PDF operation: ${operationName}. Supported operations: ${Object.keys(pdfToolOperations).join(', ')}`,
+      });
+    }
+    const missing = findMissing([modules.pdfLib, ...(operation.binaries || [])]);
+    if (missing.length > 0) {
+      throw createBackendUnavailableError(`PDF ${operationName}`, missing);
+    }
+    const files = req.files;
+    if (!files || files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded.' });
+    }
+    const minFiles = operation.minFiles || 1;
+    const maxFiles = operation.minFiles ? maxPdfToolFiles : 1;
+    if (files.length < minFiles || files.length > maxFiles) {
+      return res.status(400).json({
+        error: `PDF ${operationName} expects ${minFiles === maxFiles ? minFiles : `${minFiles}-${maxFiles}`} file(s), got ${files.length}.`,
+      });
+    }
+
+    let options;
+    try {
+      const parsed = JSON.parse(req.body.options || '{}');
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new Error('options must be a JSON object');
       }
+      options = operation.normalize(parsed, files.length);
+    } catch (parseError) {
+      logger.error(`Error parsing PDF ${operationName} options:`, parseError);
+      return res.status(400).json({ error: `Invalid ${operationName} options: ${parseError.message}` });
+    }
+
+    const inputs = [];
+    for (const file of files) {
+      if (path.extname(file.originalname).toLowerCase() !== '.pdf') {
+        return res.status(400).json({ error: `Invalid or corrupted PDF file: ${file.originalname}` });
+      }
+      const contentType = await checkContentType(path.resolve(file.path), 'pdf', { name: file.originalname });
+      if (!(await validatePDF(path.resolve(file.path)))) {
+        return res.status(400).json({ error: `Invalid or corrupted PDF file: ${file.originalname}` });
+      }
+      inputs.push({ name: file.originalname, type: contentType.ext, mime: contentType.mime, corrected: false });
+    }
+
+    const inputPaths = files.map(file => path.resolve(file.path));
+    const { id, path: outputPath } = await fileStore.createOutput({
+      name: files[0].originalname,
+      ext: operation.outputExt || 'pdf',
+      suffix: operationName,
     });
-  } catch (err) {
-    console.error('File not found:', filePath, err.message);
-    res.status(404).json({ error: 'Converted file not found.' });
+    const uploadedFiles = tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir));
+    const job = jobQueue.submit(async ({ signal }) => {
+      await withConversionTimeout(signal, async (conversionSignal) => {
+        try {
+          await raceAbort(operation.run(inputPaths, outputPath, options, { signal: conversionSignal }), conversionSignal);
+        } catch (err) {
+          await cleanupFiles([outputPath]);
+          throwIfAborted(conversionSignal);
+          logger.error(`PDF ${operationName} failed: ${err.message}`);
+          throw new Error(`PDF ${operationName} failed: ${err.message}`);
+        }
+      });
+      logger.info(`PDF ${operationName} completed: ${outputPath}`);
+      return { files: [{ ...outputLink(id), inputs }] };
+    }, {
+      cleanup: () => cleanupFiles(uploadedFiles),
+      owner: req.apiClient,
+      kind: `pdf-${operationName}`,
+    });
+    // Uploads now belong to the job and are removed when it settles
+    tempFiles = [];
+
+    await respondWithJob(res, job, asyncMode);
+  } catch (error) {
+    logger.error(`PDF ${operationName} error:`, error);
+    sendError(res, error, `PDF ${operationName} failed.`);
+  } finally {
+    await cleanupFiles(tempFiles.filter(file => path.resolve(file).startsWith(uploadsDir)));
   }
 });
 
-// Delete file endpoint
+// The caller's own usage today, with its limits
+app.get('/api/usage', (req, res) => {
+  res.status(200).json(accessControl.report(req.apiClient));
+});
+
+// Usage of every caller seen today; admin keys only
+app.get('/api/usage/all', (req, res) => {
+  if (!req.apiClient.admin) {
+    return res.status(403).json({ error: 'An admin API key is required.', code: 'FORBIDDEN' });
+  }
+  res.status(200).json({ clients: accessControl.reportAll(), timestamp: new Date().toISOString() });
+});
+
+// A job submitted by the calling client; other clients' jobs are reported as not found
+function findOwnJob(req) {
+  const job = jobQueue.get(req.params.id);
+  return job && job.owner?.id === req.apiClient?.id ? job : null;
+}
+
+// Job status
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  res.status(200).json(jobJSON(job));
+});
+
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  if (!jobQueue.cancel(job.id)) {
+    return res.status(409).json({ error: `Job ${job.id} has already finished with status ${job.status}.` });
+  }
+  res.status(200).json(jobJSON(job));
+});
+
+// Serve converted files through signed links. Range requests are answered by res.download, so
+// interrupted downloads can resume from the same address; the file is removed after its last permitted
+// download completes.
+app.get('/converted/:filename', createDownloadHandler({ links: downloadLinks, fileStore }));
+
+// Delete a converted file; only the submitter has its delete token
 app.delete('/api/delete/:filename', async (req, res) => {
   const filename = req.params.filename;
-  const filePath = path.resolve(convertedDir, filename);
+  let filePath;
+  try {
+    filePath = fileStore.resolve(filename);
+  } catch (err) {
+    return sendError(res, err, 'Invalid file name.');
+  }
+  if (!downloadLinks.canDelete(filename, req.get('X-Delete-Token') || req.query.token)) {
+    return res.status(403).json({ error: 'A valid delete token is required to delete this file.' });
+  }
   try {
     await cleanupFiles([filePath]);
+    downloadLinks.forget(filename);
+    fileStore.forget(filename);
     res.status(200).json({ message: `File ${filename} deleted successfully.` });
   } catch (err) {
-    console.error(`Error deleting file ${filePath}:`, err.message);
+    logger.error(`Error deleting file ${filePath}:`, err);
     res.status(500).json({ error: `Failed to delete file ${filename}.` });
   }
 });
 
-// Cleanup files with retry logic
-async function cleanupFiles(filePaths) {
-  const maxRetries = 3;
-  const retryDelay = 1000;
-  for (const filePath of filePaths) {
-    let attempts = 0;
-    while (attempts < maxRetries) {
-      try {
-        await fsPromises.access(filePath);
-        await fsPromises.unlink(filePath);
-        console.log(`Deleted file: ${filePath}`);
-        break;
-      } catch (err) {
-        if (err.code === 'ENOENT') {
-          console.log(`File already deleted or does not exist: ${filePath}`);
-          break;
-        } else if (err.code === 'EPERM') {
-          attempts++;
-          console.warn(`EPERM error on attempt ${attempts} for ${filePath}. Retrying in ${retryDelay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
-          if (attempts === maxRetries) {
-            console.error(`Failed to delete file ${filePath} after ${maxRetries} attempts: ${err.message}`);
-          }
-        } else {
-          console.error(`Error deleting file ${filePath}:`, err.message);
-          break;
-        }
-      }
-    }
-  }
-}
-
 // Periodic cleanup of old files
 setInterval(async () => {
   try {
@@ -688,18 +1636,46 @@ setInterval(async () => {
     for (const file of files) {
       const filePath = path.join(convertedDir, file);
       const stats = await fsPromises.stat(filePath);
-      if (now - stats.mtimeMs > 24 * 60 * 60 * 1000) {
+      if (now - stats.mtimeMs > convertedFileMaxAge) {
         await cleanupFiles([filePath]);
+        downloadLinks.forget(file);
+        fileStore.forget(file);
       }
     }
   } catch (err) {
-    console.error('Error in periodic cleanup:', err.message);
+    logger.error('Error in periodic cleanup:', err);
+  }
+  jobQueue.prune();
+  downloadLinks.prune();
+  webhooks.prune();
+  fileStore.prune(convertedFileMaxAge);
+  accessControl.prune();
+  try {
+    await uploadSessions.sweep();
+  } catch (err) {
+    logger.error('Error removing abandoned uploads:', err);
+  }
+  try {
+    await refreshDependencies();
+  } catch (err) {
+    logger.error('Error re-checking dependencies:', err);
   }
 }, 60 * 60 * 1000);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err.message, err.stack);
+  if (err instanceof multer.MulterError) {
+    describeUploadError(err);
+  }
+  // Access errors (401, 429) and body parser errors, e.g. an upload chunk over the size limit, are the client's
+  if (err.status >= 400 && err.status < 500) {
+    logger.error('Request error:', err);
+    if (err.retryAfter !== undefined) {
+      res.setHeader('Retry-After', err.retryAfter);
+    }
+    return sendError(res, err, 'Bad request.');
+  }
+  logger.error('Unhandled error:', err);
   res.status(500).json({ error: 'Internal server error.' });
 });
 
@@ -708,11 +1684,11 @@ async function startServer() {
   try {
     await ensureDirectories();
     app.listen(port, () => {
-      console.log(`Server running on http://localhost:${port}`);
-      console.log(`CORS allowed origins: ${uniqueAllowedOrigins.join(', ')}`);
+      logger.info(`Server running on http://localhost:${port}`);
+      logger.info(`CORS allowed origins: ${uniqueAllowedOrigins.join(', ')}`);
     });
   } catch (err) {
-    console.error('Failed to start server:', err.message, err.stack);
+    logger.error('Failed to start server:', err);
     process.exit(1);
   }
 }
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const { extractArchive, listArchive } = require('../lib/archive');
+
+// A stand-in 7z on PATH whose listing claims one 12-byte file. "x -so" streams $FAKE_7Z_BYTES bytes,
+// extraction writes the file and logs the call; an archive named slow.zip hangs while listing.
+const listing = [
+  'Path = bomb.zip', 'Type = zip', '', '----------',
+  'Path = a.txt', 'Folder = -', 'Size = 12', 'Packed Size = 10', 'Attributes = _ -rw-r--r--', 'Encrypted = -', '',
+].join('\n');
+let workDir;
+let originalPath;
+
+before(() => {
+  workDir = tmp.dirSync({ unsafeCleanup: true });
+  fs.writeFileSync(path.join(workDir.name, '7z'), [
+    '#!/bin/sh',
+    'for last; do :; done',
+    'case "$1 $2" in',
+    `  "l -slt") case "$last" in *slow.zip) exec sleep 30;; esac; echo '${listing}';;`,
+    '  "x -so") head -c "$FAKE_7Z_BYTES" /dev/zero;;',
+    '  "x -y") echo "$*" >> "$(dirname "$0")/extracted"; printf "hello world\\n" > "${3#-o}/a.txt";;',
+    'esac',
+    '',
+  ].join('\n'), { mode: 0o755 });
+  fs.writeFileSync(path.join(workDir.name, 'bomb.zip'), Buffer.alloc(100));
+  fs.writeFileSync(path.join(workDir.name, 'slow.zip'), Buffer.alloc(100));
+  originalPath = process.env.PATH;
+  process.env.PATH = `${workDir.name}${path.delimiter}${originalPath}`;
+});
+
+after(() => {
+  process.env.PATH = originalPath;
+  delete process.env.FAKE_7Z_BYTES;
+  workDir.removeCallback();
+});
+
+const limits = { maxUncompressedBytes: 1000, maxEntries: 10, maxRatio: 100 };
+
+test('extracts an archive whose content stays within the limits', async () => {
+  process.env.FAKE_7Z_BYTES = '12';
+  const destDir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    const { type, files } = await extractArchive(path.join(workDir.name, 'bomb.zip'), destDir.name, { limits });
+    assert.strictEqual(type, 'zip');
+    assert.deepStrictEqual(files.map(({ path: entry, size }) => ({ entry, size })), [{ entry: 'a.txt', size: 12 }]);
+  } finally {
+    destDir.removeCallback();
+  }
+});
+
+test('stops before extracting when the content outgrows the header sizes', async () => {
+  process.env.FAKE_7Z_BYTES = String(1024 * 1024);
+  fs.rmSync(path.join(workDir.name, 'extracted'), { force: true });
+  const destDir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    await assert.rejects(
+      extractArchive(path.join(workDir.name, 'bomb.zip'), destDir.name, { limits }),
+      { code: 'ARCHIVE_REJECTED', status: 422, message: /more than 1000 bytes/ }
+    );
+    assert.strictEqual(fs.existsSync(path.join(workDir.name, 'extracted')), false);
+  } finally {
+    destDir.removeCallback();
+  }
+});
+
+test('gives up listing an archive after the timeout', async () => {
+  await assert.rejects(listArchive(path.join(workDir.name, 'slow.zip'), { timeout: 200 }), {
+    code: 'ARCHIVE_REJECTED',
+    message: /within 200ms/,
+  });
+});
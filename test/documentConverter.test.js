@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const registry = require('../lib/converters');
+
+const converter = registry.getConverter('document');
+
+// The registry passes the detected type; an auto-corrected upload keeps its misleading name
+test('routes on the detected input type, not the upload name', async () => {
+  const workDir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    const inputPath = path.join(workDir.name, 'input');
+    const outputPath = path.join(workDir.name, 'output.pdf');
+    fs.writeFileSync(inputPath, '%PDF-1.4\n%%EOF\n');
+    await converter.convert({
+      inputPath,
+      outputPath,
+      inputExt: 'pdf',
+      target: 'pdf',
+      originalName: 'report.docx',
+      options: {},
+      signal: new AbortController().signal,
+      onProgress: () => {},
+    });
+    assert.strictEqual(fs.readFileSync(outputPath, 'utf8'), '%PDF-1.4\n%%EOF\n');
+  } finally {
+    workDir.removeCallback();
+  }
+});
+
+test('does not copy a document detected as docx through as pdf', async () => {
+  const workDir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    const inputPath = path.join(workDir.name, 'input');
+    const outputPath = path.join(workDir.name, 'output.pdf');
+    fs.writeFileSync(inputPath, 'PK\u0003\u0004 not really a docx');
+    await converter.convert({
+      inputPath,
+      outputPath,
+      inputExt: 'docx',
+      target: 'pdf',
+      originalName: 'x.pdf',
+      options: {},
+      signal: new AbortController().signal,
+      onProgress: () => {},
+    }).catch(() => {});
+    assert.notStrictEqual(fs.existsSync(outputPath) && fs.readFileSync(outputPath, 'utf8'), 'PK\u0003\u0004 not really a docx');
+  } finally {
+    workDir.removeCallback();
+  }
+});
@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const express = require('express');
+const tmp = require('tmp');
+const { createDownloadLinks, createDownloadHandler } = require('../lib/downloadLinks');
+const { createFileStore } = require('../lib/fileStore');
+
+const secret = 'test-secret';
+
+// The expires and signature query parameters of a signed path
+function query(link) {
+  return Object.fromEntries(new URL(link.path, 'http://localhost').searchParams);
+}
+
+test('signs links that authorize their own file only', () => {
+  const links = createDownloadLinks({ secret, ttlSeconds: 60 });
+  const link = links.sign('a.pdf');
+  assert.match(link.path, /^\/converted\/a\.pdf\?expires=\d+&signature=[\w-]+$/);
+  assert.deepStrictEqual(links.authorize('a.pdf', query(link)), { last: false });
+  assert.throws(() => links.authorize('b.pdf', query(link)), { code: 'DOWNLOAD_LINK_INVALID', status: 403 });
+  assert.throws(() => links.authorize('a.pdf', {}), { code: 'DOWNLOAD_LINK_INVALID' });
+});
+
+test('rejects a tampered expiry or a link signed with another secret', () => {
+  const links = createDownloadLinks({ secret, ttlSeconds: 60 });
+  const { expires, signature } = query(links.sign('a.pdf'));
+  assert.throws(() => links.authorize('a.pdf', { expires: Number(expires) + 3600, signature }), { code: 'DOWNLOAD_LINK_INVALID' });
+  const other = createDownloadLinks({ secret: 'other-secret', ttlSeconds: 60 });
+  assert.throws(() => links.authorize('a.pdf', query(other.sign('a.pdf'))), { code: 'DOWNLOAD_LINK_INVALID' });
+});
+
+test('expires links after their TTL', () => {
+  const links = createDownloadLinks({ secret, ttlSeconds: 60 });
+  const now = Date.now();
+  const link = links.sign('a.pdf', now);
+  assert.strictEqual(link.expiresAt, new Date((Math.floor(now / 1000) + 60) * 1000).toISOString());
+  assert.deepStrictEqual(links.authorize('a.pdf', query(link), { now: now + 59 * 1000 }), { last: false });
+  assert.throws(() => links.authorize('a.pdf', query(link), { now: now + 61 * 1000 }), { code: 'DOWNLOAD_LINK_EXPIRED', status: 410 });
+});
+
+test('counts downloads up to maxUses and flags the last one', () => {
+  const links = createDownloadLinks({ secret, maxUses: 2 });
+  const params = query(links.sign('a.pdf'));
+  assert.deepStrictEqual(links.authorize('a.pdf', params, { client: 'x' }), { last: false });
+  assert.deepStrictEqual(links.authorize('a.pdf', params, { client: 'y' }), { last: true });
+  assert.throws(() => links.authorize('a.pdf', params, { client: 'z' }), { code: 'DOWNLOAD_LIMIT_REACHED', status: 410 });
+});
+
+test('lets a client resume its own counted transfer without using a download', () => {
+  const links = createDownloadLinks({ secret, maxUses: 1 });
+  const params = query(links.sign('a.pdf'));
+  assert.deepStrictEqual(links.authorize('a.pdf', params, { client: 'x' }), { last: true });
+  assert.deepStrictEqual(links.authorize('a.pdf', params, { client: 'x', resuming: true }), { last: true });
+  assert.deepStrictEqual(links.authorize('a.pdf', params, { client: 'x', resuming: true }), { last: true });
+});
+
+test('counts Range requests that do not resume a counted transfer', () => {
+  const links = createDownloadLinks({ secret, maxUses: 1 });
+  const params = query(links.sign('a.pdf'));
+  assert.deepStrictEqual(links.authorize('a.pdf', params, { client: 'x', resuming: true }), { last: true });
+  assert.throws(() => links.authorize('a.pdf', params, { client: 'y', resuming: true }), { code: 'DOWNLOAD_LIMIT_REACHED' });
+  assert.throws(() => links.authorize('a.pdf', params, { client: 'x' }), { code: 'DOWNLOAD_LIMIT_REACHED' });
+});
+
+test('issues delete tokens per file', () => {
+  const links = createDownloadLinks({ secret });
+  const { deleteToken } = links.sign('a.pdf');
+  assert.strictEqual(links.canDelete('a.pdf', deleteToken), true);
+  assert.strictEqual(links.canDelete('b.pdf', deleteToken), false);
+  assert.strictEqual(links.canDelete('a.pdf', undefined), false);
+});
+
+test('forget resets the download count', () => {
+  const links = createDownloadLinks({ secret, maxUses: 1 });
+  const params = query(links.sign('a.pdf'));
+  links.authorize('a.pdf', params);
+  links.forget('a.pdf');
+  assert.deepStrictEqual(links.authorize('a.pdf', params), { last: true });
+});
+
+test('checks a link without using a download when asked not to consume', () => {
+  const links = createDownloadLinks({ secret, maxUses: 1 });
+  const params = query(links.sign('a.pdf'));
+  assert.deepStrictEqual(links.authorize('a.pdf', params, { consume: false }), { last: false });
+  assert.deepStrictEqual(links.authorize('a.pdf', params, { client: 'x' }), { last: true });
+  assert.throws(() => links.authorize('a.pdf', params, { consume: false }), { code: 'DOWNLOAD_LIMIT_REACHED' });
+});
+
+// Serve a file store through the download handler on a local port
+async function withDownloadServer(fn) {
+  const dir = tmp.dirSync({ unsafeCleanup: true });
+  const fileStore = createFileStore(dir.name);
+  const links = createDownloadLinks({ secret, maxUses: 1 });
+  const app = express();
+  app.get('/converted/:filename', createDownloadHandler({ links, fileStore }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await fn({ fileStore, links, base });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    dir.removeCallback();
+  }
+}
+
+test('does not use a download for a file that does not exist', () => withDownloadServer(async ({ fileStore, links, base }) => {
+  const { id, path: filePath } = await fileStore.createOutput({ name: 'report', ext: 'pdf' });
+  const link = links.sign(id);
+  assert.strictEqual((await fetch(`${base}${link.path}`)).status, 404);
+
+  fs.writeFileSync(filePath, '%PDF-1.4');
+  const response = await fetch(`${base}${link.path}`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(await response.text(), '%PDF-1.4');
+}));
+
+test('answers HEAD without using a download or deleting the file', () => withDownloadServer(async ({ fileStore, links, base }) => {
+  const { id, path: filePath } = await fileStore.createOutput({ name: 'report', ext: 'pdf' });
+  fs.writeFileSync(filePath, '%PDF-1.4');
+  const link = links.sign(id);
+  for (let i = 0; i < 2; i++) {
+    const head = await fetch(`${base}${link.path}`, { method: 'HEAD' });
+    assert.strictEqual(head.status, 200);
+    assert.strictEqual(head.headers.get('content-length'), '8');
+  }
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(fs.existsSync(filePath));
+
+  const response = await fetch(`${base}${link.path}`);
+  assert.strictEqual(await response.text(), '%PDF-1.4');
+  // The last download removes the file once it has been sent
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual((await fetch(`${base}${link.path}`, { method: 'HEAD' })).status, 404);
+}));
@@ -0,0 +1,85 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const registry = require('../lib/converters');
+const { binaries, checkDependencies } = require('../lib/dependencies');
+
+// Every input and target the image converter advertises, converted from a small fixture per input format.
+// Pairs whose tools are not installed here are skipped rather than failed.
+const fixturesDir = path.join(__dirname, 'fixtures', 'images');
+const converter = registry.getConverter('image');
+const matrix = registry.formatMatrix().types.image;
+
+// How each target's output starts; tga has no signature, so only its header length is checked
+const signatures = {
+  jpg: buffer => buffer[0] === 0xff && buffer[1] === 0xd8,
+  jpeg: buffer => buffer[0] === 0xff && buffer[1] === 0xd8,
+  png: buffer => buffer.subarray(0, 4).toString('latin1') === '\x89PNG',
+  gif: buffer => buffer.subarray(0, 4).toString('latin1') === 'GIF8',
+  tiff: buffer => ['II*\x00', 'MM\x00*'].includes(buffer.subarray(0, 4).toString('latin1')),
+  webp: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP',
+  pdf: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+  bmp: buffer => buffer.subarray(0, 2).toString('latin1') === 'BM',
+  eps: buffer => buffer.subarray(0, 4).toString('latin1') === '%!PS',
+  ico: buffer => buffer.readUInt16LE(0) === 0 && buffer.readUInt16LE(2) === 1 && buffer.readUInt16LE(4) > 0,
+  svg: buffer => buffer.toString('utf8').includes('<svg'),
+  tga: buffer => buffer.length > 18,
+  wbmp: buffer => buffer[0] === 0 && buffer[1] === 0,
+};
+
+before(async () => {
+  await checkDependencies([binaries.ImageMagick, binaries.GraphicsMagick, binaries.potrace], converter.modules);
+});
+
+test('every advertised image pair has a fixture and an output check', () => {
+  for (const inputExt of matrix.inputs) {
+    assert.ok(fs.existsSync(path.join(fixturesDir, `sample.${inputExt}`)), `missing fixture sample.${inputExt}`);
+  }
+  for (const target of matrix.outputs) {
+    assert.ok(signatures[target], `no output check for ${target}`);
+  }
+});
+
+for (const inputExt of matrix.inputs) {
+  for (const target of matrix.targets[inputExt]) {
+    test(`image ${inputExt} -> ${target}`, async (t) => {
+      const missing = registry.missingDependencies(converter, { inputExt, target });
+      if (missing.length > 0) {
+        t.skip(`needs ${missing.join(', ')}`);
+        return;
+      }
+      const workDir = tmp.dirSync({ unsafeCleanup: true });
+      try {
+        const { options } = registry.resolveConversion({ type: 'image', inputExt, target, options: {} });
+        const outputPath = path.join(workDir.name, `output.${target}`);
+        const result = await converter.convert({
+          inputPath: path.join(fixturesDir, `sample.${inputExt}`),
+          outputPath,
+          inputExt,
+          target,
+          originalName: `sample.${inputExt}`,
+          options,
+          signal: new AbortController().signal,
+          onProgress: () => {},
+        });
+        const written = (typeof result === 'string' ? result : result?.outputPath) || outputPath;
+        const output = fs.readFileSync(written);
+        assert.ok(output.length > 0, 'output is empty');
+        assert.ok(signatures[target](output), `output does not look like ${target}`);
+      } finally {
+        workDir.removeCallback();
+      }
+    });
+  }
+}
+
+test('declares potrace, and needs it only for traced svg output', () => {
+  assert.ok(registry.requiredBinaries().includes(binaries.potrace));
+  const needs = (target, options) => converter.binariesFor({ inputExt: 'png', target, options }).map(({ name }) => name);
+  assert.ok(needs('svg', { svgMode: 'trace' }).includes('potrace'));
+  assert.ok(!needs('svg', { svgMode: 'embed' }).includes('potrace'));
+  assert.ok(!needs('svg').includes('potrace'));
+  assert.ok(!needs('png', { svgMode: 'trace' }).includes('potrace'));
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const { inspectFile } = require('../lib/inspect');
+
+// A stand-in ffprobe on PATH: prints canned JSON, or records its pid and hangs when the input is named hang.mp4
+const probeOutput = {
+  streams: [
+    { index: 0, codec_type: 'video', codec_name: 'h264', width: 1280, height: 720, avg_frame_rate: '30000/1001', tags: { language: 'und' } },
+    { index: 1, codec_type: 'audio', codec_name: 'aac', sample_rate: '48000', channels: 2 },
+  ],
+  format: { format_name: 'mov,mp4', duration: '12.500000', bit_rate: '4128000', tags: { title: 'Demo' } },
+};
+let workDir;
+let originalPath;
+
+before(() => {
+  workDir = tmp.dirSync({ unsafeCleanup: true });
+  const script = path.join(workDir.name, 'ffprobe');
+  fs.writeFileSync(script, [
+    '#!/bin/sh',
+    'for last; do :; done',
+    'case "$last" in *hang.mp4) echo $$ > "$(dirname "$0")/pid"; exec sleep 30;; esac',
+    `echo '${JSON.stringify(probeOutput)}'`,
+    '',
+  ].join('\n'), { mode: 0o755 });
+  fs.writeFileSync(path.join(workDir.name, 'clip.mp4'), 'not really a video');
+  fs.writeFileSync(path.join(workDir.name, 'hang.mp4'), 'not really a video');
+  originalPath = process.env.PATH;
+  process.env.PATH = `${workDir.name}${path.delimiter}${originalPath}`;
+});
+
+after(() => {
+  process.env.PATH = originalPath;
+  workDir.removeCallback();
+});
+
+test('summarizes the streams ffprobe reports', async () => {
+  const { kind, metadata } = await inspectFile(path.join(workDir.name, 'clip.mp4'), { ext: 'mp4', name: 'clip.mp4' });
+  assert.strictEqual(kind, 'media');
+  assert.strictEqual(metadata.duration, 12.5);
+  assert.deepStrictEqual(metadata.resolution, { width: 1280, height: 720 });
+  assert.strictEqual(metadata.streams[0].frameRate, 29.97);
+  assert.strictEqual(metadata.streams[0].language, 'und');
+  assert.strictEqual(metadata.streams[1].sampleRate, 48000);
+  assert.deepStrictEqual(metadata.tags, { title: 'Demo' });
+});
+
+test('kills ffprobe when the inspection is aborted', async () => {
+  const controller = new AbortController();
+  const pidFile = path.join(workDir.name, 'pid');
+  const inspection = inspectFile(path.join(workDir.name, 'hang.mp4'), { ext: 'mp4', signal: controller.signal });
+  while (!fs.existsSync(pidFile) || !fs.readFileSync(pidFile, 'utf8').trim()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const pid = Number(fs.readFileSync(pidFile, 'utf8'));
+  controller.abort(new Error('Inspection cancelled'));
+  await assert.rejects(inspection, /Inspection cancelled/);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.throws(() => process.kill(pid, 0), { code: 'ESRCH' });
+});
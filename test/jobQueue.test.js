@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createJobQueue } = require('../lib/jobQueue');
+
+// A task that runs until its signal aborts, for holding a worker
+function blockingTask() {
+  return ({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+test('runs tasks and reports their results', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const job = queue.submit(async ({ reportProgress }) => {
+    reportProgress(0.5, 'halfway');
+    return { value: 42 };
+  });
+  const settled = await job.done;
+  assert.strictEqual(settled.status, 'done');
+  assert.deepStrictEqual(queue.toJSON(settled).result, { value: 42 });
+  assert.strictEqual(queue.toJSON(settled).progress, 100);
+});
+
+test('records a failed task with its code and status', async () => {
+  const queue = createJobQueue();
+  const job = queue.submit(async () => {
+    const err = new Error('bad input');
+    err.code = 'INVALID_INPUT';
+    err.status = 400;
+    throw err;
+  });
+  const settled = await job.done;
+  assert.strictEqual(settled.status, 'failed');
+  assert.deepStrictEqual(settled.error, { message: 'bad input', code: 'INVALID_INPUT', status: 400 });
+});
+
+test('keeps at most concurrency jobs running', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const first = queue.submit(blockingTask());
+  const second = queue.submit(async () => 'second');
+  assert.strictEqual(first.status, 'running');
+  assert.strictEqual(second.status, 'queued');
+  assert.deepStrictEqual(queue.stats(), { queued: 1, running: 1, concurrency: 1, tracked: 2 });
+  queue.cancel(first.id);
+  assert.strictEqual((await second.done).status, 'done');
+});
+
+test('cancelling a running job aborts its signal', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  let aborted = false;
+  const job = queue.submit(({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      aborted = true;
+      reject(signal.reason);
+    }, { once: true });
+  }));
+  assert.strictEqual(queue.cancel(job.id, 'Stopped by test'), true);
+  const settled = await job.done;
+  assert.strictEqual(aborted, true);
+  assert.strictEqual(settled.status, 'cancelled');
+  assert.strictEqual(settled.error.message, 'Stopped by test');
+});
+
+test('cancelling a queued job removes it before it starts', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const blocker = queue.submit(blockingTask());
+  let started = false;
+  const queued = queue.submit(async () => {
+    started = true;
+  });
+  assert.strictEqual(queue.cancel(queued.id), true);
+  assert.strictEqual((await queued.done).status, 'cancelled');
+  queue.cancel(blocker.id);
+  await blocker.done;
+  assert.strictEqual(started, false);
+  assert.strictEqual(queue.stats().queued, 0);
+});
+
+test('cancel returns false for finished and unknown jobs', async () => {
+  const queue = createJobQueue();
+  const job = queue.submit(async () => 'done');
+  await job.done;
+  assert.strictEqual(queue.cancel(job.id), false);
+  assert.strictEqual(queue.cancel('missing'), false);
+});
+
+test('runs cleanup and the finish hook once a job settles', async () => {
+  const finished = [];
+  const queue = createJobQueue({ onFinish: job => finished.push(job.status) });
+  let cleanedUp = false;
+  const job = queue.submit(async () => 'done', {
+    cleanup: async () => {
+      cleanedUp = true;
+    },
+  });
+  await job.done;
+  assert.strictEqual(cleanedUp, true);
+  assert.deepStrictEqual(finished, ['done']);
+});
+
+test('prunes finished jobs after the retention window', async () => {
+  const queue = createJobQueue({ retention: 0 });
+  const job = queue.submit(async () => 'done');
+  await job.done;
+  job.finishedAt -= 1;
+  queue.prune();
+  assert.strictEqual(queue.get(job.id), undefined);
+});
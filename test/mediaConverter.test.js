@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const ffmpeg = require('fluent-ffmpeg');
+const registry = require('../lib/converters');
+
+// Runs a conversion without ffmpeg and returns the arguments it would have been started with
+async function ffmpegArguments(t, type, target, options = {}) {
+  let args;
+  t.mock.method(ffmpeg.prototype, 'save', function save() {
+    args = this._getArguments();
+    process.nextTick(() => this.emit('end'));
+    return this;
+  });
+  const converter = registry.getConverter(type);
+  await converter.convert({
+    inputPath: 'input',
+    outputPath: `output.${target}`,
+    target,
+    options: converter.normalizeOptions(options, { target }),
+  });
+  t.mock.restoreAll();
+  return args;
+}
+
+function muxer(args) {
+  return args[args.indexOf('-f') + 1];
+}
+
+test('passes ffmpeg the muxer for extensions that are not muxer names', async (t) => {
+  const cases = [
+    ['video', 'mkv', 'matroska'],
+    ['video', 'wmv', 'asf'],
+    ['video', 'm4v', 'mp4'],
+    ['audio', 'wma', 'asf'],
+    ['audio', 'aac', 'adts'],
+    ['video', 'mp4', 'mp4'],
+    ['audio', 'mp3', 'mp3'],
+  ];
+  for (const [type, target, expected] of cases) {
+    assert.strictEqual(muxer(await ffmpegArguments(t, type, target)), expected, target);
+  }
+});
+
+test('kills ffmpeg that starts after the conversion was aborted', async (t) => {
+  const events = [];
+  // fluent-ffmpeg spawns ffmpeg only after probing the input, so 'start' can come after an abort
+  t.mock.method(ffmpeg.prototype, 'save', function save() {
+    setTimeout(() => {
+      events.push('start');
+      this.emit('start', 'ffmpeg -i input output.mp4');
+    }, 20);
+    return this;
+  });
+  t.mock.method(ffmpeg.prototype, 'kill', function kill() {
+    events.push('kill');
+    return this;
+  });
+  const controller = new AbortController();
+  const converter = registry.getConverter('video');
+  const conversion = converter.convert({
+    inputPath: 'input',
+    outputPath: 'output.mp4',
+    target: 'mp4',
+    options: converter.normalizeOptions({}, { target: 'mp4' }),
+    signal: controller.signal,
+  });
+  controller.abort(new Error('Conversion timed out'));
+  await assert.rejects(conversion, /Conversion timed out/);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepStrictEqual(events, ['kill', 'start', 'kill']);
+});
+
+test('kills ffprobe when a sprite sheet is aborted while probing the duration', async (t) => {
+  // A stand-in ffprobe on PATH that records its pid and hangs
+  const binDir = tmp.dirSync({ unsafeCleanup: true });
+  const pidFile = path.join(binDir.name, 'pid');
+  fs.writeFileSync(path.join(binDir.name, 'ffprobe'), `#!/bin/sh\necho $$ > "${pidFile}"\nexec sleep 30\n`, { mode: 0o755 });
+  const originalPath = process.env.PATH;
+  process.env.PATH = `${binDir.name}${path.delimiter}${originalPath}`;
+  t.after(() => {
+    process.env.PATH = originalPath;
+    binDir.removeCallback();
+  });
+
+  const controller = new AbortController();
+  const converter = registry.getConverter('video');
+  const conversion = converter.convert({
+    inputPath: 'input.mp4',
+    outputPath: 'output.png',
+    target: 'png',
+    options: converter.normalizeOptions({ frames: 4 }, { target: 'png' }),
+    signal: controller.signal,
+  });
+  while (!fs.existsSync(pidFile) || !fs.readFileSync(pidFile, 'utf8').trim()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const pid = Number(fs.readFileSync(pidFile, 'utf8'));
+  controller.abort(new Error('Conversion timed out'));
+  await assert.rejects(conversion, /Conversion timed out/);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.throws(() => process.kill(pid, 0), { code: 'ESRCH' });
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateOptions, describeOptions } = require('../lib/optionSchema');
+
+const schema = {
+  dpi: { type: 'integer', min: 36, max: 600, default: 150 },
+  scale: { type: 'number', min: 0.1 },
+  format: { type: 'string', enum: ['zip', 'gif'], default: 'zip' },
+  pages: { type: 'string', pattern: /^[\d,-]+$/ },
+  grayscale: { type: 'boolean' },
+  sizes: { type: 'array', maxItems: 2 },
+  name: { type: 'string', required: true },
+};
+
+test('applies defaults and leaves out unset options without one', () => {
+  assert.deepStrictEqual(validateOptions(schema, { name: 'a' }), { dpi: 150, format: 'zip', name: 'a' });
+});
+
+test('treats null, undefined and empty strings as unset', () => {
+  assert.deepStrictEqual(validateOptions(schema, { name: 'a', dpi: '', scale: null }), { dpi: 150, format: 'zip', name: 'a' });
+  assert.deepStrictEqual(validateOptions({}, null), {});
+  assert.deepStrictEqual(validateOptions({}, undefined), {});
+});
+
+test('coerces form values to the declared types', () => {
+  const normalized = validateOptions(schema, { name: 7, dpi: '300', scale: '0.5', grayscale: 'true' });
+  assert.strictEqual(normalized.name, '7');
+  assert.strictEqual(normalized.dpi, 300);
+  assert.strictEqual(normalized.scale, 0.5);
+  assert.strictEqual(normalized.grayscale, true);
+});
+
+test('rejects values outside the schema', () => {
+  const cases = [
+    [{ dpi: 1.5 }, /"dpi" must be an integer/],
+    [{ dpi: 'many' }, /"dpi" must be an integer/],
+    [{ dpi: 20 }, /"dpi" must be between 36 and 600/],
+    [{ scale: 0 }, /"scale" must be between 0.1 and ∞/],
+    [{ format: 'tar' }, /"format" must be one of: zip, gif/],
+    [{ pages: '1;2' }, /"pages" has an invalid format/],
+    [{ grayscale: 'yes' }, /"grayscale" must be true or false/],
+    [{ sizes: 'a' }, /"sizes" must be a list/],
+    [{ sizes: [1, 2, 3] }, /"sizes" allows at most 2 item/],
+    [{ name: {} }, /"name" must be a string/],
+  ];
+  for (const [options, message] of cases) {
+    assert.throws(() => validateOptions(schema, { name: 'a', ...options }), message);
+  }
+});
+
+test('rejects missing required options, unknown keys and non-objects', () => {
+  assert.throws(() => validateOptions(schema, {}), /"name" is required/);
+  assert.throws(() => validateOptions(schema, { name: 'a', colour: 'red' }), /Unknown option\(s\): colour/);
+  assert.throws(() => validateOptions(schema, ['a']), /Options must be an object/);
+  assert.throws(() => validateOptions({}, 'a', 'Image option'), /Image options must be an object/);
+});
+
+test('describeOptions drops patterns so the schema can be sent as JSON', () => {
+  const described = describeOptions(schema);
+  assert.strictEqual(described.pages.pattern, undefined);
+  assert.deepStrictEqual(described.dpi, schema.dpi);
+});
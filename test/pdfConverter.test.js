@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const registry = require('../lib/converters');
+
+const converter = registry.getConverter('pdfs');
+
+function needs(target, options) {
+  return converter.binariesFor({ inputExt: 'pdf', target, options }).map(({ name }) => name);
+}
+
+test('needs 7-Zip only when a zip of pages is asked for', () => {
+  assert.deepStrictEqual(needs('png'), ['poppler-utils']);
+  assert.deepStrictEqual(needs('jpg', { pages: '1', output: 'first' }), ['poppler-utils']);
+  assert.deepStrictEqual(needs('gif', { output: 'animated-gif' }), ['poppler-utils', 'ImageMagick']);
+  assert.deepStrictEqual(needs('png', { pages: '1-3', output: 'zip' }), ['poppler-utils', '7-Zip']);
+  assert.deepStrictEqual(needs('txt'), []);
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const tmp = require('tmp');
+const { createUploadSessions } = require('../lib/resumableUploads');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function withSessions(options, fn) {
+  return async () => {
+    const dir = tmp.dirSync({ unsafeCleanup: true });
+    try {
+      await fn(createUploadSessions({ dir: dir.name, maxBytes: 1024, chunkBytes: 16, idleTimeout: 60 * 1000, ...options }));
+    } finally {
+      dir.removeCallback();
+    }
+  };
+}
+
+const data = Buffer.from('The quick brown fox jumps over the lazy dog');
+
+test('appends checksummed chunks in order and completes', withSessions({}, async (uploads) => {
+  const { uploadId } = await uploads.create({ name: 'fox.txt', size: data.length, sha256: sha256(data) });
+  let offset = 0;
+  while (offset < data.length) {
+    const chunk = data.subarray(offset, offset + 16);
+    const state = await uploads.appendChunk(uploadId, { offset, checksum: `sha256:${sha256(chunk)}`, data: chunk });
+    offset += chunk.length;
+    assert.strictEqual(state.offset, offset);
+  }
+  const done = await uploads.complete(uploadId);
+  assert.strictEqual(done.complete, true);
+  assert.strictEqual(done.sha256, sha256(data));
+  const [file] = uploads.claim([uploadId]);
+  assert.strictEqual(file.originalname, 'fox.txt');
+  assert.deepStrictEqual(fs.readFileSync(file.path), data);
+}));
+
+test('discards a chunk whose checksum does not match and keeps the offset', withSessions({}, async (uploads) => {
+  const { uploadId } = await uploads.create({ name: 'fox.txt', size: data.length });
+  const chunk = data.subarray(0, 16);
+  await assert.rejects(
+    uploads.appendChunk(uploadId, { offset: 0, checksum: `sha256:${sha256('something else')}`, data: chunk }),
+    { code: 'CHUNK_CHECKSUM_MISMATCH', status: 422 }
+  );
+  await assert.rejects(uploads.appendChunk(uploadId, { offset: 0, checksum: 'md5:abc', data: chunk }), { code: 'INVALID_CHUNK' });
+  assert.strictEqual(uploads.toJSON(uploads.get(uploadId)).offset, 0);
+  await uploads.appendChunk(uploadId, { offset: 0, checksum: sha256(chunk), data: chunk });
+  assert.strictEqual(uploads.toJSON(uploads.get(uploadId)).offset, 16);
+}));
+
+test('reports the current offset so a client can resume', withSessions({}, async (uploads) => {
+  const { uploadId } = await uploads.create({ name: 'fox.txt', size: data.length });
+  const first = data.subarray(0, 16);
+  await uploads.appendChunk(uploadId, { offset: 0, checksum: sha256(first), data: first });
+  // A client that lost the response resends the same chunk
+  await assert.rejects(
+    uploads.appendChunk(uploadId, { offset: 0, checksum: sha256(first), data: first }),
+    (err) => err.code === 'UPLOAD_OFFSET_MISMATCH' && err.status === 409 && err.offset === 16
+  );
+  const rest = data.subarray(16);
+  await uploads.appendChunk(uploadId, { offset: 16, checksum: sha256(rest), data: rest });
+  await uploads.complete(uploadId);
+  assert.deepStrictEqual(fs.readFileSync(uploads.get(uploadId).path), data);
+}));
+
+test('rejects chunks past the declared size and early completion', withSessions({}, async (uploads) => {
+  const { uploadId } = await uploads.create({ name: 'fox.txt', size: 10 });
+  const chunk = data.subarray(0, 16);
+  await assert.rejects(uploads.appendChunk(uploadId, { offset: 0, checksum: sha256(chunk), data: chunk }), { code: 'INVALID_CHUNK' });
+  await assert.rejects(uploads.complete(uploadId), { code: 'UPLOAD_INCOMPLETE', status: 409 });
+}));
+
+test('discards an upload whose whole-file checksum does not match', withSessions({}, async (uploads) => {
+  const { uploadId } = await uploads.create({ name: 'fox.txt', size: data.length, sha256: sha256('other') });
+  await uploads.appendChunk(uploadId, { offset: 0, checksum: sha256(data), data });
+  await assert.rejects(uploads.complete(uploadId), { code: 'UPLOAD_CHECKSUM_MISMATCH', status: 422 });
+  assert.throws(() => uploads.get(uploadId), { code: 'UPLOAD_NOT_FOUND', status: 404 });
+}));
+
+test('validates new sessions', withSessions({}, async (uploads) => {
+  await assert.rejects(uploads.create({ name: '', size: 10 }), { code: 'INVALID_UPLOAD' });
+  await assert.rejects(uploads.create({ name: 'a.txt', size: 0 }), { code: 'INVALID_UPLOAD' });
+  await assert.rejects(uploads.create({ name: 'a.txt', size: 2048 }), { code: 'INVALID_UPLOAD' });
+  await assert.rejects(uploads.create({ name: 'a.txt', size: 10, sha256: 'abc' }), { code: 'INVALID_UPLOAD' });
+}));
+
+test('claims all uploads or none', withSessions({}, async (uploads) => {
+  const complete = await uploads.create({ name: 'a.txt', size: 3 });
+  await uploads.appendChunk(complete.uploadId, { offset: 0, checksum: sha256('abc'), data: Buffer.from('abc') });
+  await uploads.complete(complete.uploadId);
+  const unfinished = await uploads.create({ name: 'b.txt', size: 3 });
+  assert.throws(() => uploads.claim([complete.uploadId, unfinished.uploadId]), { code: 'UPLOAD_INCOMPLETE' });
+  assert.throws(() => uploads.claim([complete.uploadId, complete.uploadId]), { code: 'INVALID_UPLOAD' });
+  assert.strictEqual(uploads.claim([complete.uploadId]).length, 1);
+  assert.throws(() => uploads.claim([complete.uploadId]), { code: 'UPLOAD_NOT_FOUND' });
+}));
+
+test('sweeps sessions idle for longer than the timeout', withSessions({ idleTimeout: 1000 }, async (uploads) => {
+  const { uploadId } = await uploads.create({ name: 'a.txt', size: 3 });
+  const { path } = uploads.get(uploadId);
+  await uploads.sweep(Date.now() + 500);
+  assert.ok(uploads.get(uploadId));
+  await uploads.sweep(Date.now() + 2000);
+  assert.throws(() => uploads.get(uploadId), { code: 'UPLOAD_NOT_FOUND' });
+  assert.strictEqual(fs.existsSync(path), false);
+}));
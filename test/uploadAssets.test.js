@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { inlineAssets } = require('../lib/uploadAssets');
+
+const pngPath = path.join(__dirname, 'fixtures', 'images', 'sample.png');
+const asset = (originalname, filePath = pngPath) => ({ originalname, path: filePath, size: fs.statSync(filePath).size });
+
+test('inlines referenced assets as data URLs, including inside operation lists', async () => {
+  const dataUrl = `data:image/png;base64,${fs.readFileSync(pngPath).toString('base64')}`;
+  const options = await inlineAssets({
+    cover: 'asset:cover.png',
+    title: 'asset:cover.png',
+    operations: [{ op: 'watermark', image: 'asset:cover.png' }, { op: 'grayscale' }],
+  }, [asset('cover.png')]);
+  assert.deepStrictEqual(options, {
+    cover: dataUrl,
+    title: 'asset:cover.png',
+    operations: [{ op: 'watermark', image: dataUrl }, { op: 'grayscale' }],
+  });
+});
+
+test('leaves options without references alone', async () => {
+  assert.deepStrictEqual(await inlineAssets({ cover: 'data:image/png;base64,AA==', dpi: 300 }), { cover: 'data:image/png;base64,AA==', dpi: 300 });
+  assert.strictEqual(await inlineAssets(undefined, []), undefined);
+});
+
+test('rejects unknown, oversized and mislabelled assets', async () => {
+  await assert.rejects(inlineAssets({ cover: 'asset:missing.png' }, [asset('cover.png')]), {
+    code: 'INVALID_ASSET', status: 400, message: /No asset named "missing.png" was uploaded; assets: cover.png/,
+  });
+  await assert.rejects(inlineAssets({ cover: 'asset:big.png' }, [{ ...asset('big.png'), size: 6 * 1024 * 1024 }]), {
+    code: 'INVALID_ASSET', status: 413,
+  });
+  const jpegPath = path.join(__dirname, 'fixtures', 'images', 'sample.jpg');
+  await assert.rejects(inlineAssets({ cover: 'asset:cover.png' }, [asset('cover.png', jpegPath)]), { code: 'CONTENT_TYPE_MISMATCH' });
+});
+
+test('accepts only the formats each option takes', async () => {
+  const webpPath = path.join(__dirname, 'fixtures', 'images', 'sample.webp');
+  const assets = [asset('cover.webp', webpPath)];
+  await assert.rejects(inlineAssets({ cover: 'asset:cover.webp' }, assets), {
+    code: 'INVALID_ASSET', status: 400, message: 'Asset cover.webp is webp; "cover" takes png, jpg, jpeg images.',
+  });
+  const { operations: [watermark] } = await inlineAssets({ operations: [{ op: 'watermark', image: 'asset:cover.webp' }] }, assets);
+  assert.match(watermark.image, /^data:image\/webp;base64,/);
+});